@@ -0,0 +1,310 @@
+/**
+ * Analytics Tracker - Records what the audience looks at during a presentation
+ * Listens for modal, section and PDF export events, times how long each modal and
+ * section stays on screen, and queues the events in batches through the offline
+ * outbox so they reach /api/analytics once the connection allows
+ */
+
+class AnalyticsTracker {
+  /**
+   * @param {OfflineOutbox} outbox - Outbox the event batches are queued in
+   * @param {Object} options - { deck, onQueued } where onQueued runs after each batch is queued
+   */
+  constructor(outbox, options = {}) {
+    this.outbox = outbox;
+    this.deck = options.deck || 'default';
+    this.onQueued = options.onQueued || null;
+    this.sessionId = outbox?.createKey() || String(Date.now());
+
+    this.events = [];
+    this.batchSize = 25;
+    this.flushDelay = 30000; // ms an event waits for others before its batch is queued
+    this.flushTimer = null;
+
+    // What is on screen now; dwell time runs from its start time
+    this.openSection = null;
+    this.openModal = null;
+    this.paused = false;
+
+    // Modal types worth timing (binder, ROI and rehearsal modals are presenter tools)
+    this.trackedModals = ['problem', 'kpi', 'pilot', 'character'];
+
+    // Bind methods
+    this.handleModalOpened = this.handleModalOpened.bind(this);
+    this.handleModalClosed = this.handleModalClosed.bind(this);
+    this.handleSectionChange = this.handleSectionChange.bind(this);
+    this.handlePdfExported = this.handlePdfExported.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Start tracking
+   * @param {string} sectionId - Section on screen when the presentation starts
+   */
+  init(sectionId) {
+    window.addEventListener('modalOpened', this.handleModalOpened);
+    window.addEventListener('modalClosed', this.handleModalClosed);
+    window.addEventListener('sectionChanged', this.handleSectionChange);
+    window.addEventListener('pdfExported', this.handlePdfExported);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+    if (sectionId) {
+      this.enterSection(sectionId);
+    }
+  }
+
+  /**
+   * Record an event
+   * @param {string} type - Event type
+   * @param {Object} detail - Event fields, e.g. target, label, duration
+   */
+  track(type, detail = {}) {
+    this.events.push({
+      type,
+      section: this.openSection?.id || null,
+      timestamp: Date.now(),
+      ...detail
+    });
+
+    if (this.events.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+  }
+
+  /**
+   * Record a change to the ROI investment slider
+   * @param {number} value - New investment
+   */
+  trackROIAdjustment(value) {
+    this.track('roi_adjust', { value });
+  }
+
+  /**
+   * Handle modal opened
+   * @param {CustomEvent} e - modalOpened event from ModalSystem
+   */
+  handleModalOpened(e) {
+    const modal = e.detail?.modal;
+    if (!modal || !this.trackedModals.includes(modal.type)) return;
+
+    // A modal opened over another ends the first one's dwell
+    this.endModal();
+
+    this.openModal = { ...this.describeModal(modal), openedAt: Date.now() };
+    this.track('modal_open', {
+      modal: this.openModal.modal,
+      target: this.openModal.target,
+      label: this.openModal.label
+    });
+  }
+
+  /**
+   * Handle modal closed
+   */
+  handleModalClosed() {
+    this.endModal();
+  }
+
+  /**
+   * Record how long the open modal was on screen
+   */
+  endModal() {
+    if (!this.openModal) return;
+
+    if (!this.paused) this.recordModalDwell();
+    this.openModal = null;
+  }
+
+  /**
+   * Record the open modal's time on screen since it opened or the page was last shown
+   */
+  recordModalDwell() {
+    const { modal, target, label, openedAt } = this.openModal;
+    this.track('modal_dwell', { modal, target, label, duration: Date.now() - openedAt });
+  }
+
+  /**
+   * What a modal is showing
+   * @param {Object} modal - { type, data } from ModalSystem
+   * @returns {Object} { modal, target, label }
+   */
+  describeModal(modal) {
+    const data = modal.data || {};
+
+    switch (modal.type) {
+      case 'pilot':
+        return { modal: 'pilot', target: 'pilot', label: data.location ? `Pilot: ${data.location}` : 'Pilot Program' };
+      case 'character':
+        return { modal: 'character', target: data.characterType || data.title, label: data.title };
+      default:
+        return { modal: modal.type, target: data.id, label: data.title };
+    }
+  }
+
+  /**
+   * Handle section change
+   * @param {CustomEvent} e - sectionChanged event
+   */
+  handleSectionChange(e) {
+    const { sectionId } = e.detail || {};
+    if (!sectionId || sectionId === this.openSection?.id) return;
+
+    this.leaveSection();
+    this.enterSection(sectionId);
+  }
+
+  /**
+   * Start timing a section
+   * @param {string} sectionId - Section ID
+   */
+  enterSection(sectionId) {
+    this.openSection = { id: sectionId, enteredAt: Date.now() };
+    this.track('section_enter', { target: sectionId });
+  }
+
+  /**
+   * Record how long the current section was on screen
+   */
+  leaveSection() {
+    if (!this.openSection) return;
+
+    if (!this.paused) this.recordSectionDwell();
+    this.openSection = null;
+  }
+
+  /**
+   * Record the current section's time on screen since it was entered or the page was last shown
+   */
+  recordSectionDwell() {
+    this.track('section_dwell', { target: this.openSection.id, duration: Date.now() - this.openSection.enteredAt });
+  }
+
+  /**
+   * Handle PDF exported
+   * @param {CustomEvent} e - pdfExported event from PDFExporter
+   */
+  handlePdfExported(e) {
+    this.track('pdf_export', { target: e.detail?.report, label: e.detail?.fileName });
+  }
+
+  /**
+   * Stop the clocks while the page is hidden, and queue what has been recorded
+   * in case the page is being closed
+   */
+  handleVisibilityChange() {
+    if (document.hidden && !this.paused) {
+      if (this.openSection) this.recordSectionDwell();
+      if (this.openModal) this.recordModalDwell();
+      this.paused = true;
+      this.flush();
+    } else if (!document.hidden && this.paused) {
+      // Dwell is recorded in segments; the report adds them up
+      const now = Date.now();
+      if (this.openSection) this.openSection.enteredAt = now;
+      if (this.openModal) this.openModal.openedAt = now;
+      this.paused = false;
+    }
+  }
+
+  /**
+   * Queue the recorded events as one batch in the outbox
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.events.length === 0 || !this.outbox) return;
+
+    const events = this.events.splice(0);
+
+    try {
+      await this.outbox.enqueue('analytics', {
+        sessionId: this.sessionId,
+        deck: this.deck,
+        events
+      });
+      if (this.onQueued) this.onQueued();
+    } catch (error) {
+      console.warn('Failed to queue analytics:', error);
+    }
+  }
+
+  /**
+   * Every event recorded on this device, from the outbox plus any not yet queued
+   * @returns {Promise<Array<Object>>} Events with their sessionId and deck, oldest first
+   */
+  async getEvents() {
+    let items = [];
+
+    try {
+      items = await this.outbox.getItems('analytics');
+    } catch (error) {
+      console.warn('Failed to load analytics:', error);
+    }
+
+    const batches = [
+      ...items.map(item => item.payload),
+      { sessionId: this.sessionId, deck: this.deck, events: this.events }
+    ];
+
+    return batches
+      .flatMap(batch => (batch.events || []).map(event => ({ ...event, sessionId: batch.sessionId, deck: batch.deck })))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Summarize events into what held the audience's attention
+   * @param {Array<Object>} events - Events from getEvents
+   * @returns {Object} { sessions, problems, modals, sections, roiAdjustments, pdfExports }
+   *   where problems, modals and sections are { target, label, opens, totalDwell, averageDwell, longestDwell }
+   *   rows, most total dwell first
+   */
+  getReport(events) {
+    const rows = new Map();
+    const row = (kind, target, label) => {
+      const key = `${kind}:${target}`;
+      if (!rows.has(key)) {
+        rows.set(key, { kind, target, label: label || target, opens: 0, totalDwell: 0, longestDwell: 0 });
+      }
+      return rows.get(key);
+    };
+
+    events.forEach(event => {
+      switch (event.type) {
+        case 'modal_open':
+          row(event.modal, event.target, event.label).opens++;
+          break;
+        case 'section_enter':
+          row('section', event.target).opens++;
+          break;
+        case 'modal_dwell':
+        case 'section_dwell': {
+          const entry = row(event.type === 'section_dwell' ? 'section' : event.modal, event.target, event.label);
+          entry.totalDwell += event.duration || 0;
+          entry.longestDwell = Math.max(entry.longestDwell, event.duration || 0);
+          break;
+        }
+      }
+    });
+
+    const summarize = kinds => [...rows.values()]
+      .filter(entry => kinds.includes(entry.kind))
+      .map(entry => ({ ...entry, averageDwell: entry.opens ? entry.totalDwell / entry.opens : 0 }))
+      .sort((a, b) => b.totalDwell - a.totalDwell);
+
+    return {
+      sessions: new Set(events.map(event => event.sessionId)).size,
+      problems: summarize(['problem']),
+      modals: summarize(['kpi', 'pilot', 'character']),
+      sections: summarize(['section']),
+      roiAdjustments: events.filter(event => event.type === 'roi_adjust').length,
+      pdfExports: events.filter(event => event.type === 'pdf_export').length
+    };
+  }
+}
+
+// Export class
+window.AnalyticsTracker = AnalyticsTracker;
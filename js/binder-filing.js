@@ -0,0 +1,159 @@
+/**
+ * Binder Filing - Tracks which implemented problems are filed under which binder tab
+ * A problem goes to the manager initiative tab matching its category
+ * (category "training" -> initiative "training-tab"), and its financial_impact
+ * counts towards that tab's savings.
+ */
+
+class BinderFiling {
+  /**
+   * @param {DataManager} dataManager - Source of problems and manager initiatives
+   */
+  constructor(dataManager) {
+    this.dataManager = dataManager;
+    this.filed = []; // { problem, tabId } in filing order
+  }
+
+  /**
+   * Binder tabs, one per manager initiative, in data file order
+   * @returns {Array<Object>} { id, initiativeId, title }
+   */
+  getTabs() {
+    return this.dataManager.getManagerInitiatives().map(initiative => ({
+      id: initiative.id.replace(/-tab$/, ''),
+      initiativeId: initiative.id,
+      title: initiative.title
+    }));
+  }
+
+  /**
+   * Find the tab a problem belongs under
+   * @param {Object} problem - Problem record
+   * @returns {string|null} Tab ID, or null when no initiative matches its category
+   */
+  getTabForProblem(problem) {
+    const tab = this.getTabs().find(candidate => candidate.id === problem?.category);
+    return tab ? tab.id : null;
+  }
+
+  /**
+   * Position of a tab in the binder, for the filing animation
+   * @param {string} tabId - Tab ID
+   * @returns {Object|null} { index, count }: tab position and number of tabs
+   */
+  getTabSlot(tabId) {
+    const tabs = this.getTabs();
+    const index = tabs.findIndex(tab => tab.id === tabId);
+    return index === -1 ? null : { index, count: tabs.length };
+  }
+
+  /**
+   * File an implemented problem under its tab. Filing the same problem again is a no-op.
+   * @param {Object} problem - Problem record
+   * @returns {string|null} Tab ID the problem is filed under, or null if it has no tab
+   */
+  file(problem) {
+    const existing = this.filed.find(entry => entry.problem.id === problem?.id);
+    if (existing) return existing.tabId;
+
+    const tabId = this.getTabForProblem(problem);
+    if (!tabId) {
+      console.warn(`No binder tab for problem ${problem?.id} (category "${problem?.category}")`);
+      return null;
+    }
+
+    this.filed.push({ problem, tabId });
+
+    window.dispatchEvent(new CustomEvent('paperFiled', {
+      detail: {
+        problem,
+        tabId,
+        tabTotal: this.getTabTotal(tabId),
+        total: this.getTotal()
+      }
+    }));
+
+    return tabId;
+  }
+
+  /**
+   * Problems filed under a tab, each with the tab's running savings total up to and including it
+   * @param {string} tabId - Tab ID
+   * @returns {Array<Object>} { problem, savings, runningTotal } in filing order
+   */
+  getFiled(tabId) {
+    let runningTotal = 0;
+
+    return this.filed
+      .filter(entry => entry.tabId === tabId)
+      .map(({ problem }) => {
+        const savings = problem.financial_impact || 0;
+        runningTotal += savings;
+        return { problem, savings, runningTotal };
+      });
+  }
+
+  /**
+   * Savings filed under a tab
+   * @param {string} tabId - Tab ID
+   * @returns {number} Total financial impact
+   */
+  getTabTotal(tabId) {
+    const filed = this.getFiled(tabId);
+    return filed.length ? filed[filed.length - 1].runningTotal : 0;
+  }
+
+  /**
+   * Savings filed across all tabs
+   * @returns {number} Total financial impact
+   */
+  getTotal() {
+    return this.filed.reduce((total, entry) => total + (entry.problem.financial_impact || 0), 0);
+  }
+
+  /**
+   * Whether a problem has been filed
+   * @param {string} problemId - Problem ID
+   * @returns {boolean} Whether it is in the binder
+   */
+  isFiled(problemId) {
+    return this.filed.some(entry => entry.problem.id === problemId);
+  }
+
+  /**
+   * Take a problem back out of the binder
+   * @param {string} problemId - Problem ID
+   * @returns {string|null} Tab ID it was filed under, or null if it wasn't filed
+   */
+  unfile(problemId) {
+    const entry = this.filed.find(candidate => candidate.problem.id === problemId);
+    if (!entry) return null;
+
+    this.filed = this.filed.filter(candidate => candidate !== entry);
+    return entry.tabId;
+  }
+
+  /**
+   * Replace the binder contents without announcing each filing, e.g. from a saved queue
+   * @param {Array<Object>} problems - Problem records in filing order
+   */
+  restore(problems) {
+    this.filed = [];
+    problems.forEach(problem => {
+      const tabId = this.getTabForProblem(problem);
+      if (tabId && !this.isFiled(problem.id)) {
+        this.filed.push({ problem, tabId });
+      }
+    });
+  }
+
+  /**
+   * Empty the binder, e.g. when switching decks
+   */
+  clear() {
+    this.filed = [];
+  }
+}
+
+// Export class
+window.BinderFiling = BinderFiling;
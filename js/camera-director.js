@@ -0,0 +1,150 @@
+/**
+ * Camera Director - Plays keyframed camera moves for the 3D scenes
+ * A keyframe is { position, lookAt, fov, easing, duration }; a section's path
+ * is a list of keyframes played one after another
+ */
+
+class CameraDirector {
+  /**
+   * @param {THREE.PerspectiveCamera} camera - Camera to move
+   * @param {Function} onChange - Called whenever the camera moves, e.g. to request a render
+   */
+  constructor(camera, onChange = () => {}) {
+    this.camera = camera;
+    this.onChange = onChange;
+    this.target = new THREE.Vector3(0, 0, 0);
+    this.runId = 0;
+
+    this.defaultDuration = 2000;
+    this.defaultEasing = 'easeOutCubic';
+
+    this.easings = {
+      linear: t => t,
+      easeInCubic: t => t * t * t,
+      easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+      easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+    };
+  }
+
+  /**
+   * Play a path, cancelling whatever move is in progress
+   * @param {Array<Object>} keyframes - Keyframes in order
+   * @returns {Promise<boolean>} Resolves true when the path finishes, false if it was interrupted
+   */
+  async play(keyframes) {
+    const runId = ++this.runId;
+
+    for (const keyframe of keyframes) {
+      const finished = await this.animateTo(keyframe, runId);
+      if (!finished) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Tween position, look-at point and field of view to one keyframe
+   * @param {Object} keyframe - Keyframe
+   * @param {number} runId - Run this move belongs to
+   * @returns {Promise<boolean>} Whether the move completed
+   */
+  animateTo(keyframe, runId) {
+    const startPosition = this.camera.position.clone();
+    const startTarget = this.target.clone();
+    const startFov = this.camera.fov;
+
+    const endPosition = this.toVector(keyframe.position, startPosition);
+    const endTarget = this.toVector(keyframe.lookAt, startTarget);
+    const endFov = keyframe.fov ?? startFov;
+    const duration = keyframe.duration ?? this.defaultDuration;
+    const ease = this.easings[keyframe.easing] || this.easings[this.defaultEasing];
+    const startTime = Date.now();
+
+    return new Promise(resolve => {
+      const step = () => {
+        if (runId !== this.runId) {
+          resolve(false);
+          return;
+        }
+
+        const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+        const eased = ease(progress);
+
+        this.camera.position.lerpVectors(startPosition, endPosition, eased);
+        this.target.lerpVectors(startTarget, endTarget, eased);
+        this.camera.lookAt(this.target);
+
+        if (endFov !== startFov) {
+          this.camera.fov = startFov + (endFov - startFov) * eased;
+          this.camera.updateProjectionMatrix();
+        }
+        this.onChange();
+
+        if (progress < 1) {
+          requestAnimationFrame(step);
+        } else {
+          resolve(true);
+        }
+      };
+
+      step();
+    });
+  }
+
+  /**
+   * Stop any move in progress, leaving the camera where it is
+   */
+  stop() {
+    this.runId++;
+  }
+
+  /**
+   * Point the camera at a new look-at point without moving it
+   * @param {THREE.Vector3} point - Look-at point
+   */
+  setTarget(point) {
+    this.target.copy(point);
+    this.camera.lookAt(this.target);
+    this.onChange();
+  }
+
+  /**
+   * Get the current look-at point
+   * @returns {THREE.Vector3} Look-at point
+   */
+  getTarget() {
+    return this.target;
+  }
+
+  /**
+   * Describe the current view as a keyframe, rounded for readable JSON
+   * @param {Object} options - Extra fields, e.g. { duration, easing }
+   * @returns {Object} Keyframe
+   */
+  capture(options = {}) {
+    const round = value => Math.round(value * 100) / 100;
+    const point = vector => ({ x: round(vector.x), y: round(vector.y), z: round(vector.z) });
+
+    return {
+      position: point(this.camera.position),
+      lookAt: point(this.target),
+      fov: round(this.camera.fov),
+      easing: options.easing || this.defaultEasing,
+      duration: options.duration ?? this.defaultDuration
+    };
+  }
+
+  /**
+   * Convert a { x, y, z } record to a vector
+   * @param {Object} point - Point from the data file
+   * @param {THREE.Vector3} fallback - Used when the point is missing
+   * @returns {THREE.Vector3} Vector
+   */
+  toVector(point, fallback) {
+    if (!point) return fallback.clone();
+    return new THREE.Vector3(point.x, point.y, point.z);
+  }
+}
+
+// Export class
+window.CameraDirector = CameraDirector;
@@ -0,0 +1,354 @@
+/**
+ * Camera Editor - Dev-mode tool for staging camera paths
+ * Fly the camera, capture keyframes for the current section, preview the path
+ * and export the cameraPaths JSON for the data file
+ */
+
+class CameraEditor {
+  /**
+   * @param {SceneRenderer} sceneRenderer - Active scene (window.threeScene)
+   */
+  constructor(sceneRenderer) {
+    this.sceneRenderer = sceneRenderer;
+    this.director = null;
+    this.panel = null;
+    this.sectionId = 'chaos';
+    this.flying = false;
+    this.keysDown = new Set();
+    this.drag = null;
+    this.dragged = false;
+    this.lastFrame = 0;
+    this.flySpeed = 4; // scene units per second
+
+    // Bind methods
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleClickCapture = this.handleClickCapture.bind(this);
+    this.handleSectionChange = this.handleSectionChange.bind(this);
+    this.flyStep = this.flyStep.bind(this);
+  }
+
+  /**
+   * Create the editor panel. Does nothing outside the rich scene, the only one
+   * that plays the data file's camera paths.
+   */
+  init() {
+    if (this.sceneRenderer?.getMode() !== 'rich') {
+      console.warn('Camera editor needs the rich 3D scene');
+      return;
+    }
+
+    this.director = this.sceneRenderer.getCameraDirector();
+
+    this.createPanel();
+    window.addEventListener('sectionChanged', this.handleSectionChange);
+    this.render();
+  }
+
+  /**
+   * Build the panel markup and wire its buttons
+   */
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'camera-editor';
+    this.panel.setAttribute('role', 'region');
+    this.panel.setAttribute('aria-label', 'Camera path editor');
+    this.panel.innerHTML = `
+      <div class="camera-editor-header">
+        <strong>Camera: <span class="camera-editor-section"></span></strong>
+        <button type="button" data-action="fly" aria-pressed="false">Fly</button>
+      </div>
+      <p class="camera-editor-help">Fly: drag to look, WASD to move, R/F up/down, Shift for speed</p>
+      <ol class="camera-editor-keyframes"></ol>
+      <div class="camera-editor-fields">
+        <label>Easing
+          <select class="camera-editor-easing">
+            ${Object.keys(this.director.easings).map(name => `
+              <option value="${name}" ${name === this.director.defaultEasing ? 'selected' : ''}>${name}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label>Duration (ms)
+          <input type="number" class="camera-editor-duration" min="0" step="100" value="${this.director.defaultDuration}">
+        </label>
+      </div>
+      <div class="camera-editor-actions">
+        <button type="button" data-action="capture">Capture keyframe</button>
+        <button type="button" data-action="preview">Preview</button>
+        <button type="button" data-action="clear">Clear</button>
+        <button type="button" data-action="export">Export JSON</button>
+      </div>
+    `;
+
+    this.panel.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const actions = {
+        fly: () => this.toggleFly(),
+        capture: () => this.captureKeyframe(),
+        preview: () => this.preview(),
+        clear: () => this.setKeyframes([]),
+        export: () => this.exportJSON(),
+        goto: () => this.goToKeyframe(Number(button.dataset.index)),
+        remove: () => this.removeKeyframe(Number(button.dataset.index))
+      };
+      actions[button.dataset.action]?.();
+    });
+
+    document.body.appendChild(this.panel);
+  }
+
+  /**
+   * Follow the presentation to the new section
+   * @param {CustomEvent} e - sectionChanged event
+   */
+  handleSectionChange(e) {
+    this.sectionId = e.detail.sectionId;
+    this.render();
+  }
+
+  /**
+   * Get the keyframes being edited for the current section
+   * @returns {Array<Object>} Keyframes
+   */
+  getKeyframes() {
+    return window.dataManager?.getCameraPaths()[this.sectionId] || [];
+  }
+
+  /**
+   * Store the current section's keyframes so section changes use them straight away
+   * @param {Array<Object>} keyframes - Keyframes
+   */
+  setKeyframes(keyframes) {
+    window.dataManager?.setCameraPath(this.sectionId, keyframes);
+    this.render();
+  }
+
+  /**
+   * Append the current view as a keyframe
+   */
+  captureKeyframe() {
+    const keyframe = this.director.capture({
+      easing: this.panel.querySelector('.camera-editor-easing').value,
+      duration: Math.max(0, Number(this.panel.querySelector('.camera-editor-duration').value) || 0)
+    });
+
+    this.setKeyframes([...this.getKeyframes(), keyframe]);
+  }
+
+  /**
+   * Remove a keyframe
+   * @param {number} index - Keyframe index
+   */
+  removeKeyframe(index) {
+    this.setKeyframes(this.getKeyframes().filter((keyframe, i) => i !== index));
+  }
+
+  /**
+   * Jump straight to a keyframe
+   * @param {number} index - Keyframe index
+   */
+  goToKeyframe(index) {
+    const keyframe = this.getKeyframes()[index];
+    if (keyframe) {
+      this.director.play([{ ...keyframe, duration: 0 }]);
+    }
+  }
+
+  /**
+   * Play the current section's path from its first keyframe
+   */
+  preview() {
+    const keyframes = this.getKeyframes();
+    if (keyframes.length === 0) return;
+
+    this.director.play([{ ...keyframes[0], duration: 0 }, ...keyframes.slice(1)]);
+  }
+
+  /**
+   * Download every section's path as cameraPaths JSON, ready to paste into the data file
+   */
+  exportJSON() {
+    // Cleared sections fall back to the built-in shot, so leave them out
+    const cameraPaths = Object.fromEntries(
+      Object.entries(window.dataManager?.getCameraPaths() || {}).filter(([, keyframes]) => keyframes.length > 0)
+    );
+    const json = JSON.stringify({ cameraPaths }, null, 2);
+    window.TextUtils.download(json, 'camera-paths.json', 'application/json');
+
+    navigator.clipboard?.writeText(json).catch(() => {
+      // Clipboard needs focus and permission; the download is enough
+    });
+  }
+
+  /**
+   * Redraw the section name and keyframe list
+   */
+  render() {
+    if (!this.panel) return;
+
+    this.panel.querySelector('.camera-editor-section').textContent = this.sectionId;
+
+    const keyframes = this.getKeyframes();
+    const point = p => (p ? `${p.x}, ${p.y}, ${p.z}` : '-');
+    this.panel.querySelector('.camera-editor-keyframes').innerHTML = keyframes.length ?
+      keyframes.map((keyframe, index) => `
+        <li>
+          <span>(${point(keyframe.position)}) &rarr; (${point(keyframe.lookAt)})
+            fov ${keyframe.fov ?? '-'}, ${keyframe.duration ?? this.director.defaultDuration}ms ${keyframe.easing || ''}</span>
+          <button type="button" data-action="goto" data-index="${index}" aria-label="Go to keyframe ${index + 1}">Go</button>
+          <button type="button" data-action="remove" data-index="${index}" aria-label="Remove keyframe ${index + 1}">&times;</button>
+        </li>
+      `).join('') :
+      '<li class="camera-editor-empty">No keyframes; the built-in shot is used</li>';
+  }
+
+  /**
+   * Turn fly controls on or off
+   */
+  toggleFly() {
+    this.flying = !this.flying;
+    this.panel.querySelector('[data-action="fly"]').setAttribute('aria-pressed', String(this.flying));
+    this.panel.classList.toggle('flying', this.flying);
+
+    const canvas = document.getElementById('three-canvas');
+    if (this.flying) {
+      this.director.stop();
+      document.addEventListener('keydown', this.handleKeyDown);
+      document.addEventListener('keyup', this.handleKeyUp);
+      canvas?.addEventListener('mousedown', this.handleMouseDown);
+      window.addEventListener('mousemove', this.handleMouseMove);
+      window.addEventListener('mouseup', this.handleMouseUp);
+      window.addEventListener('click', this.handleClickCapture, true);
+      this.lastFrame = performance.now();
+      requestAnimationFrame(this.flyStep);
+    } else {
+      document.removeEventListener('keydown', this.handleKeyDown);
+      document.removeEventListener('keyup', this.handleKeyUp);
+      canvas?.removeEventListener('mousedown', this.handleMouseDown);
+      window.removeEventListener('mousemove', this.handleMouseMove);
+      window.removeEventListener('mouseup', this.handleMouseUp);
+      window.removeEventListener('click', this.handleClickCapture, true);
+      this.keysDown.clear();
+    }
+  }
+
+  /**
+   * Track movement keys while flying
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    if (['w', 'a', 's', 'd', 'r', 'f', 'shift'].includes(key)) {
+      this.keysDown.add(key);
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Release movement keys
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyUp(e) {
+    this.keysDown.delete(e.key.toLowerCase());
+  }
+
+  /**
+   * Start a look drag
+   * @param {MouseEvent} e - Mouse event
+   */
+  handleMouseDown(e) {
+    this.drag = { x: e.clientX, y: e.clientY };
+    this.dragged = false;
+  }
+
+  /**
+   * Turn the camera while dragging
+   * @param {MouseEvent} e - Mouse event
+   */
+  handleMouseMove(e) {
+    if (!this.drag) return;
+
+    const dx = e.clientX - this.drag.x;
+    const dy = e.clientY - this.drag.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) this.dragged = true;
+    this.drag = { x: e.clientX, y: e.clientY };
+
+    this.look(-dx * 0.005, -dy * 0.005);
+  }
+
+  /**
+   * End a look drag
+   */
+  handleMouseUp() {
+    this.drag = null;
+  }
+
+  /**
+   * Swallow the click that ends a drag so it doesn't open a paper
+   * @param {MouseEvent} e - Click event
+   */
+  handleClickCapture(e) {
+    if (this.dragged) {
+      e.stopPropagation();
+      this.dragged = false;
+    }
+  }
+
+  /**
+   * Rotate the look-at point around the camera
+   * @param {number} yaw - Radians left/right
+   * @param {number} pitch - Radians up/down
+   */
+  look(yaw, pitch) {
+    const camera = this.director.camera;
+    const offset = this.director.getTarget().clone().sub(camera.position);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+
+    spherical.theta += yaw;
+    spherical.phi = Math.min(Math.PI - 0.01, Math.max(0.01, spherical.phi - pitch));
+
+    this.director.setTarget(camera.position.clone().add(new THREE.Vector3().setFromSpherical(spherical)));
+  }
+
+  /**
+   * Move the camera (and its look-at point) from the held keys
+   * @param {number} now - Frame timestamp
+   */
+  flyStep(now) {
+    if (!this.flying) return;
+
+    const seconds = Math.min((now - this.lastFrame) / 1000, 0.1);
+    this.lastFrame = now;
+
+    const camera = this.director.camera;
+    const forward = this.director.getTarget().clone().sub(camera.position).setY(0).normalize();
+    const right = new THREE.Vector3().crossVectors(forward, camera.up).normalize();
+    const move = new THREE.Vector3();
+
+    if (this.keysDown.has('w')) move.add(forward);
+    if (this.keysDown.has('s')) move.sub(forward);
+    if (this.keysDown.has('d')) move.add(right);
+    if (this.keysDown.has('a')) move.sub(right);
+    if (this.keysDown.has('r')) move.y += 1;
+    if (this.keysDown.has('f')) move.y -= 1;
+
+    if (move.lengthSq() > 0) {
+      const speed = this.flySpeed * (this.keysDown.has('shift') ? 3 : 1);
+      move.normalize().multiplyScalar(speed * seconds);
+      camera.position.add(move);
+      this.director.setTarget(this.director.getTarget().clone().add(move));
+    }
+
+    requestAnimationFrame(this.flyStep);
+  }
+}
+
+// Export class
+window.CameraEditor = CameraEditor;
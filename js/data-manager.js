@@ -1,14 +1,26 @@
 /**
  * Data Manager - Handles loading and caching of presentation data
  * Implements offline-first architecture with localStorage caching
+ * Supports multiple decks (one data file per client/site) via data/decks.json
  */
 
 class DataManager {
   constructor() {
     this.data = null;
-    this.cacheKey = 'ace-presentation-data';
-    this.cacheVersion = '1.0';
-    this.cacheVersionKey = 'ace-presentation-version';
+    this.cacheKeyPrefix = 'ace-presentation-data';
+    this.cacheVersion = '1.1';
+    this.cacheVersionKeyPrefix = 'ace-presentation-version';
+    this.deckStorageKey = 'ace-presentation-deck';
+    this.manifestPath = 'data/decks.json';
+    this.manifest = null;
+    this.deck = null;
+    this.cacheKey = null;
+    this.cacheVersionKey = null;
+    this.validator = window.DataValidator ? new window.DataValidator() : null;
+    this.validationErrors = [];
+    this.roiBaselineOverrides = {};
+    this.roiProjectionOverrides = {};
+    this.selectedScenarioId = null;
   }
 
   /**
@@ -16,28 +28,32 @@ class DataManager {
    * @returns {Promise<Object>} Presentation data
    */
   async loadData() {
+    await this.loadManifest();
+    this.selectDeck(this.resolveDeckId());
+    
     try {
       // Check if we have cached data and if it's current version
       const cachedVersion = localStorage.getItem(this.cacheVersionKey);
       if (cachedVersion === this.cacheVersion) {
         const cachedData = localStorage.getItem(this.cacheKey);
         if (cachedData) {
-          this.data = JSON.parse(cachedData);
+          this.data = await this.validateData(JSON.parse(cachedData));
           console.log('Loaded data from cache');
           return this.data;
         }
       }
 
       // Fetch fresh data
-      const response = await fetch('data/presentation-data.json');
+      const response = await fetch(this.deck.file);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      this.data = await response.json();
+      const rawData = await response.json();
+      this.data = await this.validateData(rawData);
       
-      // Cache the data
-      this.cacheData();
+      // Cache the raw data so validation problems resurface on every load
+      this.cacheData(rawData);
       
       console.log('Loaded fresh data and cached it');
       return this.data;
@@ -47,7 +63,7 @@ class DataManager {
       // Try to fall back to cached data even if it's old
       const cachedData = localStorage.getItem(this.cacheKey);
       if (cachedData) {
-        this.data = JSON.parse(cachedData);
+        this.data = await this.validateData(JSON.parse(cachedData));
         console.log('Fell back to cached data');
         return this.data;
       }
@@ -57,12 +73,229 @@ class DataManager {
     }
   }
 
+  /**
+   * Load the deck manifest, falling back to the built-in default deck
+   * @returns {Promise<Object>} Deck manifest
+   */
+  async loadManifest() {
+    try {
+      const response = await fetch(this.manifestPath);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      this.manifest = await response.json();
+      
+      // resolveDeckId needs at least one deck to fall back on
+      if (!Array.isArray(this.manifest?.decks) || this.manifest.decks.length === 0) {
+        throw new Error('Deck manifest lists no decks');
+      }
+    } catch (error) {
+      console.warn('Failed to load deck manifest, using default deck:', error);
+      this.manifest = this.getDefaultManifest();
+    }
+    
+    return this.manifest;
+  }
+
+  /**
+   * Work out which deck to load: ?deck= parameter, then the last deck
+   * picked, then the manifest default
+   * @returns {string} Deck ID
+   */
+  resolveDeckId() {
+    const requested = new URLSearchParams(window.location.search).get('deck') ||
+      localStorage.getItem(this.deckStorageKey);
+    
+    if (requested && this.getDeck(requested)) {
+      return requested;
+    }
+    
+    if (requested) {
+      console.warn(`Unknown deck "${requested}", using default deck`);
+    }
+    
+    return this.manifest.defaultDeck || this.manifest.decks[0].id;
+  }
+
+  /**
+   * Select the deck to load and point the cache at it
+   * @param {string} deckId - Deck ID
+   */
+  selectDeck(deckId) {
+    this.deck = this.getDeck(deckId) || this.getDefaultManifest().decks[0];
+    this.cacheKey = `${this.cacheKeyPrefix}:${this.deck.id}`;
+    this.cacheVersionKey = `${this.cacheVersionKeyPrefix}:${this.deck.id}`;
+    
+    try {
+      localStorage.setItem(this.deckStorageKey, this.deck.id);
+    } catch (error) {
+      console.warn('Failed to remember deck selection:', error);
+    }
+  }
+
+  /**
+   * Get deck manifest entry by ID
+   * @param {string} deckId - Deck ID
+   * @returns {Object|null} Deck entry
+   */
+  getDeck(deckId) {
+    if (!this.manifest || !this.manifest.decks) return null;
+    return this.manifest.decks.find(deck => deck.id === deckId) || null;
+  }
+
+  /**
+   * Get all decks listed in the manifest
+   * @returns {Array} Deck entries
+   */
+  getDecks() {
+    if (!this.manifest || !this.manifest.decks) return [];
+    return this.manifest.decks;
+  }
+
+  /**
+   * Get the deck currently loaded
+   * @returns {Object|null} Deck entry
+   */
+  getCurrentDeck() {
+    return this.deck;
+  }
+
+  /**
+   * Get default deck manifest when data/decks.json is unavailable
+   * @returns {Object} Default manifest
+   */
+  getDefaultManifest() {
+    return {
+      defaultDeck: 'marriott-marquis',
+      decks: [
+        {
+          id: 'marriott-marquis',
+          name: 'Marriott Marquis',
+          title: 'Marriott Marquis San Diego Marina',
+          file: 'data/presentation-data.json'
+        }
+      ]
+    };
+  }
+
+  /**
+   * Validate data against the schema and drop records that fail it.
+   * Invalid items in record arrays are rejected, a record array that is missing or
+   * not an array is emptied, and invalid ROI scenarios and baselines are dropped on
+   * their own. Other errors in config sections replace the section with its defaults;
+   * anything else is only flagged.
+   * @param {Object} rawData - Data as loaded
+   * @returns {Promise<Object>} Data safe to present
+   */
+  async validateData(rawData) {
+    this.validationErrors = [];
+    if (!this.validator) return rawData;
+    
+    await this.validator.loadSchema();
+    const errors = this.validator.validate(rawData);
+    if (errors.length === 0) return rawData;
+    
+    if (!rawData || typeof rawData !== 'object' || Array.isArray(rawData)) {
+      this.validationErrors = errors.map(error => ({ ...error, action: 'fallback' }));
+      console.warn('Presentation data is not an object, using fallback data');
+      return this.getFallbackData();
+    }
+    
+    const data = { ...rawData };
+    const sectionDefaults = {
+      roiSimulator: () => this.getDefaultROISimulator(),
+      pilot: () => this.getDefaultPilotInfo(),
+      aceWay: () => this.getDefaultAceWay(),
+      survey: () => this.getDefaultSurvey()
+    };
+    // Records inside config sections that can be dropped without defaulting the section
+    const sectionRecords = {
+      roiSimulator: ['scenarios', 'baselines']
+    };
+    const rejected = {};
+    const rejectedInSections = {};
+    
+    this.validationErrors = errors.map(error => {
+      const recordMatch = error.path.match(/^(\w+)\[(\d+)\]/);
+      const sectionRecordMatch = error.path.match(/^(\w+)\.(\w+)(?:\[(\d+)\]|\.(\w+))/);
+      const section = error.path.split(/[.[]/)[0];
+      
+      if (recordMatch) {
+        const [, key, index] = recordMatch;
+        if (!rejected[key]) rejected[key] = new Set();
+        rejected[key].add(Number(index));
+        return { ...error, action: 'rejected' };
+      }
+      
+      // The whole collection is missing or not an array; consumers expect an array
+      if (error.path === section && this.validator.schema?.properties?.[section]?.type === 'array') {
+        data[section] = [];
+        return { ...error, action: 'rejected' };
+      }
+      
+      if (sectionRecordMatch && sectionRecords[sectionRecordMatch[1]]?.includes(sectionRecordMatch[2])) {
+        const [, sectionKey, key, index, name] = sectionRecordMatch;
+        rejectedInSections[sectionKey] = rejectedInSections[sectionKey] || {};
+        rejectedInSections[sectionKey][key] = rejectedInSections[sectionKey][key] || new Set();
+        rejectedInSections[sectionKey][key].add(index !== undefined ? Number(index) : name);
+        return { ...error, action: 'rejected' };
+      }
+      
+      if (sectionDefaults[section]) {
+        data[section] = sectionDefaults[section]();
+        return { ...error, action: 'defaulted' };
+      }
+      
+      return { ...error, action: 'flagged' };
+    });
+    
+    Object.entries(rejected).forEach(([key, indices]) => {
+      data[key] = rawData[key].filter((record, index) => !indices.has(index));
+    });
+    
+    Object.entries(rejectedInSections).forEach(([sectionKey, records]) => {
+      // Another error already replaced the section with its defaults
+      if (data[sectionKey] !== rawData[sectionKey]) return;
+      
+      data[sectionKey] = { ...rawData[sectionKey] };
+      Object.entries(records).forEach(([key, ids]) => {
+        const collection = rawData[sectionKey][key];
+        data[sectionKey][key] = Array.isArray(collection)
+          ? collection.filter((record, index) => !ids.has(index))
+          : Object.fromEntries(Object.entries(collection).filter(([name]) => !ids.has(name)));
+      });
+    });
+    
+    console.warn(`Presentation data has ${errors.length} validation error(s)`, this.validationErrors);
+    return data;
+  }
+
+  /**
+   * Get errors found by the last validation
+   * @returns {Array<Object>} Errors as { path, message, action }
+   */
+  getValidationErrors() {
+    return [...this.validationErrors];
+  }
+
+  /**
+   * Record errors found by component loaders (e.g. the presentation flow)
+   * so they show up alongside schema errors
+   * @param {Array<Object>} errors - Errors as { path, message, action }
+   */
+  reportValidationErrors(errors) {
+    if (!errors.length) return;
+    this.validationErrors.push(...errors);
+    console.warn(`Presentation data has ${errors.length} additional error(s)`, errors);
+  }
+
   /**
    * Cache data to localStorage
+   * @param {Object} data - Data to cache (defaults to current data)
    */
-  cacheData() {
+  cacheData(data = this.data) {
     try {
-      localStorage.setItem(this.cacheKey, JSON.stringify(this.data));
+      localStorage.setItem(this.cacheKey, JSON.stringify(data));
       localStorage.setItem(this.cacheVersionKey, this.cacheVersion);
     } catch (error) {
       console.warn('Failed to cache data:', error);
@@ -89,6 +322,15 @@ class DataManager {
     return this.data.solutions.filter(solution => solution.category === category);
   }
 
+  /**
+   * Get all manager initiatives (one per binder tab)
+   * @returns {Array} Array of manager initiatives
+   */
+  getManagerInitiatives() {
+    if (!this.data || !this.data.managerInitiatives) return [];
+    return this.data.managerInitiatives;
+  }
+
   /**
    * Get manager initiative by ID
    * @param {string} id - Initiative ID
@@ -108,6 +350,15 @@ class DataManager {
     return this.data.executiveKPIs;
   }
 
+  /**
+   * Get presentation flow steps (section timing, scripted actions, presenter notes)
+   * @returns {Array<Object>} Flow steps
+   */
+  getPresentationFlow() {
+    if (!this.data || !this.data.flow || this.data.flow.length === 0) return this.getDefaultPresentationFlow();
+    return this.data.flow;
+  }
+
   /**
    * Get ROI simulator configuration
    * @returns {Object} ROI simulator config
@@ -135,6 +386,123 @@ class DataManager {
     return this.data.aceWay;
   }
 
+  /**
+   * Get the post-presentation survey with section and problem titles filled in.
+   * Questions left out of the data file aren't asked; problem IDs that don't
+   * match a problem are skipped, and no problem list means every problem.
+   * @returns {Object} { title, sectionRatings, resonatedProblem, pilotApproval }, unused questions null
+   */
+  getSurvey() {
+    const survey = this.data?.survey || this.getDefaultSurvey();
+    const sections = this.data?.presentation?.sections || [];
+    const problems = this.data?.problems || [];
+    const { sectionRatings, resonatedProblem, pilotApproval } = survey;
+    
+    let problemOptions = null;
+    if (resonatedProblem) {
+      const ids = resonatedProblem.problems || problems.map(problem => problem.id);
+      problemOptions = ids
+        .map(id => {
+          const problem = problems.find(candidate => candidate.id === id);
+          if (!problem) console.warn(`Survey lists unknown problem "${id}"`);
+          return problem ? { id, title: problem.title } : null;
+        })
+        .filter(Boolean);
+    }
+    
+    return {
+      title: survey.title || 'Quick Survey',
+      sectionRatings: sectionRatings ? {
+        question: sectionRatings.question,
+        sections: sectionRatings.sections.map(id => ({
+          id,
+          title: sections.find(section => section.id === id)?.title || id
+        }))
+      } : null,
+      resonatedProblem: problemOptions?.length ? {
+        question: resonatedProblem.question,
+        problems: problemOptions
+      } : null,
+      pilotApproval: pilotApproval ? {
+        minLabel: '',
+        maxLabel: '',
+        ...pilotApproval
+      } : null
+    };
+  }
+
+  /**
+   * Get the live audience polls with problem titles as their answers. Problem IDs
+   * that don't match a problem are skipped, and no problem list means every problem.
+   * @returns {Array<Object>} { id, question, section, options: [{ id, label }] }, polls left without answers dropped
+   */
+  getPolls() {
+    const polls = this.data?.polls || this.getDefaultPolls();
+    const problems = this.data?.problems || [];
+    
+    return polls
+      .map(poll => {
+        const ids = poll.problems || problems.map(problem => problem.id);
+        const options = ids
+          .map(id => {
+            const problem = problems.find(candidate => candidate.id === id);
+            if (!problem) console.warn(`Poll "${poll.id}" lists unknown problem "${id}"`);
+            return problem ? { id, label: problem.title } : null;
+          })
+          .filter(Boolean);
+        
+        return {
+          id: poll.id,
+          question: poll.question,
+          section: poll.section || 'chaos',
+          options
+        };
+      })
+      .filter(poll => poll.options.length > 0);
+  }
+
+  /**
+   * Get the camera keyframes for a section. Keyframes without a complete
+   * position are skipped (they are also listed by validation).
+   * @param {string} sectionId - Section ID
+   * @returns {Array<Object>|null} Keyframes, or null to use the scene's built-in shot
+   */
+  getCameraPath(sectionId) {
+    const path = this.data?.cameraPaths?.[sectionId];
+    if (!Array.isArray(path)) return null;
+    
+    const keyframes = path.filter(keyframe =>
+      ['x', 'y', 'z'].every(axis => Number.isFinite(keyframe?.position?.[axis]))
+    );
+    return keyframes.length > 0 ? keyframes : null;
+  }
+
+  /**
+   * Replace a section's camera path for this session (used by the camera editor)
+   * @param {string} sectionId - Section ID
+   * @param {Array<Object>} keyframes - Keyframes
+   */
+  setCameraPath(sectionId, keyframes) {
+    if (!this.data) return;
+    this.data.cameraPaths = { ...this.data.cameraPaths, [sectionId]: keyframes };
+  }
+
+  /**
+   * Get every section's camera path
+   * @returns {Object} Keyframes keyed by section ID
+   */
+  getCameraPaths() {
+    return this.data?.cameraPaths || {};
+  }
+
+  /**
+   * Get the seed for the desk paper layout
+   * @returns {number|null} Seed from the data file, or null to derive one from the problem IDs
+   */
+  getLayoutSeed() {
+    return this.data?.presentation?.layoutSeed ?? null;
+  }
+
   /**
    * Get section information
    * @param {string} sectionId - Section ID
@@ -145,22 +513,130 @@ class DataManager {
     return this.data.presentation.sections.find(section => section.id === sectionId);
   }
 
+  /**
+   * Get ROI baseline definitions (label, value, min, max, step, unit),
+   * with defaults filled in for any the data file leaves out
+   * @returns {Object} Baselines keyed by name
+   */
+  getROIBaselines() {
+    const config = this.getROISimulator();
+    const baselines = {
+      ...this.getDefaultROISimulator().baselines,
+      ...(config.baselines || {})
+    };
+    
+    // Older decks kept the salary under calculations
+    if (!config.baselines?.averageEmployeeSalary && config.calculations?.averageEmployeeSalary) {
+      baselines.averageEmployeeSalary = {
+        ...baselines.averageEmployeeSalary,
+        value: config.calculations.averageEmployeeSalary
+      };
+    }
+    
+    return baselines;
+  }
+
+  /**
+   * Get current baseline values, including any live overrides
+   * @returns {Object} Baseline values keyed by name
+   */
+  getROIBaselineValues() {
+    const baselines = this.getROIBaselines();
+    return Object.keys(baselines).reduce((values, key) => {
+      values[key] = this.roiBaselineOverrides[key] ?? baselines[key].value;
+      return values;
+    }, {});
+  }
+
+  /**
+   * Override a baseline value for the current session, kept within the baseline's min and max
+   * @param {string} key - Baseline name
+   * @param {number} value - New value
+   * @returns {number|undefined} Value stored, after clamping
+   */
+  setROIBaseline(key, value) {
+    const baseline = this.getROIBaselines()[key];
+    if (!baseline || !Number.isFinite(value)) return undefined;
+    
+    const min = Number.isFinite(baseline.min) ? baseline.min : -Infinity;
+    const max = Number.isFinite(baseline.max) ? baseline.max : Infinity;
+    this.roiBaselineOverrides[key] = Math.min(max, Math.max(min, value));
+    return this.roiBaselineOverrides[key];
+  }
+
+  /**
+   * Drop all baseline overrides
+   */
+  resetROIBaselines() {
+    this.roiBaselineOverrides = {};
+  }
+
+  /**
+   * Get named ROI scenarios (e.g. conservative / expected / optimistic)
+   * @returns {Array<Object>} Scenarios as { id, name, description, calculations }
+   */
+  getROIScenarios() {
+    const config = this.getROISimulator();
+    return config.scenarios?.length ? config.scenarios : this.getDefaultROISimulator().scenarios;
+  }
+
+  /**
+   * Get a scenario by ID
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Object|null} Scenario
+   */
+  getROIScenario(scenarioId) {
+    return this.getROIScenarios().find(scenario => scenario.id === scenarioId) || null;
+  }
+
+  /**
+   * Get the scenario currently selected in the simulator
+   * @returns {Object} Selected scenario
+   */
+  getSelectedROIScenario() {
+    const config = this.getROISimulator();
+    return this.getROIScenario(this.selectedScenarioId) ||
+      this.getROIScenario(config.defaultScenario) ||
+      this.getROIScenarios()[0];
+  }
+
+  /**
+   * Select the scenario used by calculateROI
+   * @param {string} scenarioId - Scenario ID
+   */
+  selectROIScenario(scenarioId) {
+    if (!this.getROIScenario(scenarioId)) {
+      console.warn(`Unknown ROI scenario: ${scenarioId}`);
+      return;
+    }
+    this.selectedScenarioId = scenarioId;
+  }
+
   /**
    * Calculate ROI based on investment amount
    * @param {number} investment - Investment amount
+   * @param {Object} baselineValues - Baseline values (defaults to current values)
+   * @param {string} scenarioId - Scenario to apply (defaults to the selected one)
+   * @param {Object} calculationOverrides - Calculation values to override after the scenario
    * @returns {Object} ROI calculations
    */
-  calculateROI(investment) {
+  calculateROI(investment, baselineValues = this.getROIBaselineValues(), scenarioId = null, calculationOverrides = {}) {
     const config = this.getROISimulator();
-    const calc = config.calculations;
+    const scenario = scenarioId ? this.getROIScenario(scenarioId) : this.getSelectedROIScenario();
+    const calc = { ...config.calculations, ...(scenario?.calculations || {}), ...calculationOverrides };
+    const baselines = baselineValues;
     
     // Calculate number of employees that can be trained
     const employeesTrained = Math.floor(investment / calc.trainingCostPerEmployee);
+    const trainedShare = baselines.headcount > 0 ? Math.min(1, employeesTrained / baselines.headcount) : 0;
     
     // Calculate annual savings
-    const damageSavings = calc.damageReductionRate * 25000; // Assuming $25k annual damage costs
-    const retentionSavings = calc.retentionImprovementRate * employeesTrained * calc.averageEmployeeSalary * calc.turnoverCostMultiplier;
-    const revenueincrease = calc.revenueIncreaseRate * 2555 * 365; // Daily revenue increase
+    const damageSavings = calc.damageReductionRate * baselines.annualDamageCost;
+    const annualTurnoverCost = baselines.headcount * baselines.annualTurnoverRate *
+      baselines.averageEmployeeSalary * calc.turnoverCostMultiplier;
+    const retentionSavings = calc.retentionImprovementRate * annualTurnoverCost * trainedShare;
+    const dailyWhiteTicketRevenue = baselines.whiteTicketsPerDay * baselines.revenuePerWhiteTicket;
+    const revenueincrease = calc.revenueIncreaseRate * dailyWhiteTicketRevenue * 365;
     
     const totalSavings = damageSavings + retentionSavings + revenueincrease;
     const roiPercentage = ((totalSavings - investment) / investment) * 100;
@@ -168,15 +644,211 @@ class DataManager {
     return {
       investment,
       employeesTrained,
+      scenario: scenario ? { id: scenario.id, name: scenario.name } : null,
+      baselines: { ...baselines },
       damageSavings: Math.round(damageSavings),
       retentionSavings: Math.round(retentionSavings),
       revenueincrease: Math.round(revenueincrease),
       totalSavings: Math.round(totalSavings),
       netProfit: Math.round(totalSavings - investment),
-      roiPercentage: Math.round(roiPercentage)
+      roiPercentage: Math.round(roiPercentage),
+      projection: this.calculateProjection(investment, totalSavings)
+    };
+  }
+
+  /**
+   * Get the inputs varied by the sensitivity analysis
+   * @returns {Array<Object>} Inputs as { key, label, source } where source is calculations or baselines
+   */
+  getSensitivityInputs() {
+    const calculationLabels = {
+      damageReductionRate: 'Damage Reduction Rate',
+      revenueIncreaseRate: 'Revenue Increase Rate',
+      retentionImprovementRate: 'Retention Improvement Rate',
+      turnoverCostMultiplier: 'Turnover Cost Multiplier',
+      trainingCostPerEmployee: 'Training Cost per Employee'
+    };
+    
+    const baselines = this.getROIBaselines();
+    return [
+      ...Object.entries(calculationLabels).map(([key, label]) => ({ key, label, source: 'calculations' })),
+      ...Object.entries(baselines).map(([key, baseline]) => ({ key, label: baseline.label, source: 'baselines' }))
+    ];
+  }
+
+  /**
+   * Vary each ROI input by +/- variation and measure the effect on net profit
+   * @param {number} investment - Investment amount
+   * @param {number} variation - Fractional change, e.g. 0.2 for +/-20% (defaults to roiSimulator.sensitivity)
+   * @returns {Object} { variation, baseNetProfit, inputs } with inputs ranked by swing, largest first
+   */
+  calculateSensitivity(investment, variation = this.getSensitivityVariation()) {
+    const config = this.getROISimulator();
+    const scenario = this.getSelectedROIScenario();
+    const calc = { ...config.calculations, ...(scenario?.calculations || {}) };
+    const baselineValues = this.getROIBaselineValues();
+    const baseNetProfit = this.calculateROI(investment, baselineValues).netProfit;
+    
+    const netProfitWith = (input, factor) => {
+      if (input.source === 'baselines') {
+        const value = baselineValues[input.key] * factor;
+        return this.calculateROI(investment, { ...baselineValues, [input.key]: value }).netProfit;
+      }
+      
+      let value = calc[input.key] * factor;
+      // Rates can't go beyond 100%
+      if (input.key.endsWith('Rate')) value = Math.min(1, value);
+      return this.calculateROI(investment, baselineValues, null, { [input.key]: value }).netProfit;
+    };
+    
+    const inputs = this.getSensitivityInputs().map(input => {
+      const lowNetProfit = netProfitWith(input, 1 - variation);
+      const highNetProfit = netProfitWith(input, 1 + variation);
+      return {
+        ...input,
+        lowNetProfit,
+        highNetProfit,
+        swing: Math.abs(highNetProfit - lowNetProfit)
+      };
+    });
+    
+    inputs.sort((a, b) => b.swing - a.swing);
+    
+    return { variation, baseNetProfit, inputs };
+  }
+
+  /**
+   * Get the default sensitivity variation from the data file
+   * @returns {number} Fractional variation
+   */
+  getSensitivityVariation() {
+    const config = this.getROISimulator();
+    return config.sensitivity?.variation ?? this.getDefaultROISimulator().sensitivity.variation;
+  }
+
+  /**
+   * Get multi-year projection settings, with defaults and live overrides applied
+   * @returns {Object} Projection settings (years, discountRate, rampUp)
+   */
+  getROIProjection() {
+    const config = this.getROISimulator();
+    return {
+      ...this.getDefaultROISimulator().projection,
+      ...(config.projection || {}),
+      ...this.roiProjectionOverrides
+    };
+  }
+
+  /**
+   * Override a projection setting for the current session
+   * @param {string} key - Setting name (years or discountRate)
+   * @param {number} value - New value
+   */
+  setROIProjection(key, value) {
+    if (!Number.isFinite(value)) return;
+    this.roiProjectionOverrides[key] = value;
+  }
+
+  /**
+   * Share of full annual savings realized in a given month, following the
+   * pilot phase ramp-up. Interpolates linearly between phase end points.
+   * @param {number} month - Month number, starting at 1
+   * @param {Array<Object>} rampUp - Phase ramp points { phase, endMonth, benefitShare }
+   * @returns {number} Benefit share between 0 and 1
+   */
+  getRampShare(month, rampUp) {
+    let startMonth = 0;
+    let startShare = 0;
+    
+    for (const point of rampUp) {
+      if (month <= point.endMonth) {
+        const progress = (month - startMonth) / (point.endMonth - startMonth || 1);
+        return startShare + (point.benefitShare - startShare) * progress;
+      }
+      startMonth = point.endMonth;
+      startShare = point.benefitShare;
+    }
+    
+    return rampUp.length ? startShare : 1;
+  }
+
+  /**
+   * Project monthly and annual cash flows for the investment
+   * @param {number} investment - Up-front investment (month 0)
+   * @param {number} annualSavings - Savings at full ramp-up
+   * @returns {Object} Projection with months, years, npv, irr and paybackMonth
+   */
+  calculateProjection(investment, annualSavings) {
+    const settings = this.getROIProjection();
+    const years = Math.min(5, Math.max(3, Math.round(settings.years)));
+    const rampUp = [...(settings.rampUp || [])].sort((a, b) => a.endMonth - b.endMonth);
+    
+    const months = [];
+    let cumulative = -investment;
+    let paybackMonth = null;
+    
+    for (let month = 1; month <= years * 12; month++) {
+      const share = this.getRampShare(month, rampUp);
+      const cashFlow = (annualSavings / 12) * share;
+      cumulative += cashFlow;
+      
+      if (paybackMonth === null && cumulative >= 0) {
+        paybackMonth = month;
+      }
+      
+      months.push({ month, share, cashFlow, cumulative });
+    }
+    
+    // Annual flows, year 0 being the up-front investment
+    const cashFlows = [-investment];
+    for (let year = 1; year <= years; year++) {
+      const yearMonths = months.slice((year - 1) * 12, year * 12);
+      cashFlows.push(yearMonths.reduce((sum, m) => sum + m.cashFlow, 0));
+    }
+    
+    const npv = cashFlows.reduce((sum, flow, year) => {
+      return sum + flow / Math.pow(1 + settings.discountRate, year);
+    }, 0);
+    
+    return {
+      years,
+      discountRate: settings.discountRate,
+      months: months.map(m => ({ ...m, cashFlow: Math.round(m.cashFlow), cumulative: Math.round(m.cumulative) })),
+      annual: cashFlows.slice(1).map((flow, index) => ({
+        year: index + 1,
+        cashFlow: Math.round(flow),
+        cumulative: Math.round(cashFlows.slice(0, index + 2).reduce((a, b) => a + b, 0))
+      })),
+      npv: Math.round(npv),
+      irr: this.calculateIRR(cashFlows),
+      paybackMonth
     };
   }
 
+  /**
+   * Internal rate of return by bisection
+   * @param {Array<number>} cashFlows - Annual cash flows, year 0 first
+   * @returns {number|null} IRR as a fraction, or null when there is no sign change
+   */
+  calculateIRR(cashFlows) {
+    const npvAt = (rate) => cashFlows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+    
+    let low = -0.99;
+    let high = 100;
+    if (npvAt(low) * npvAt(high) > 0) return null;
+    
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      if (npvAt(low) * npvAt(mid) <= 0) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    
+    return (low + high) / 2;
+  }
+
   /**
    * Get fallback data when remote data fails to load
    * @returns {Object} Minimal fallback data
@@ -219,12 +891,123 @@ class DataManager {
         damageReductionRate: 0.6,
         revenueIncreaseRate: 0.15,
         retentionImprovementRate: 0.35,
-        averageEmployeeSalary: 35000,
         turnoverCostMultiplier: 1.5
+      },
+      baselines: {
+        annualDamageCost: { label: 'Annual Damage Costs', value: 25000, min: 0, max: 200000, step: 500, unit: 'currency' },
+        whiteTicketsPerDay: { label: 'White Tickets per Day', value: 365, min: 0, max: 2000, step: 5, unit: 'count' },
+        revenuePerWhiteTicket: { label: 'Revenue per White Ticket', value: 7, min: 0, max: 100, step: 0.5, unit: 'currency' },
+        headcount: { label: 'Valet Headcount', value: 36, min: 1, max: 500, step: 1, unit: 'count' },
+        annualTurnoverRate: { label: 'Annual Turnover Rate', value: 0.75, min: 0, max: 3, step: 0.05, unit: 'percent' },
+        averageEmployeeSalary: { label: 'Average Valet Salary', value: 35000, min: 0, max: 150000, step: 500, unit: 'currency' }
+      },
+      defaultScenario: 'expected',
+      scenarios: [
+        {
+          id: 'conservative',
+          name: 'Conservative',
+          calculations: { damageReductionRate: 0.4, retentionImprovementRate: 0.2 }
+        },
+        {
+          id: 'expected',
+          name: 'Expected',
+          calculations: {}
+        },
+        {
+          id: 'optimistic',
+          name: 'Optimistic',
+          calculations: { damageReductionRate: 0.75, retentionImprovementRate: 0.5 }
+        }
+      ],
+      sensitivity: {
+        variation: 0.2
+      },
+      projection: {
+        years: 5,
+        discountRate: 0.08,
+        rampUp: [
+          { phase: 1, endMonth: 6, benefitShare: 0.3 },
+          { phase: 2, endMonth: 12, benefitShare: 0.7 },
+          { phase: 3, endMonth: 24, benefitShare: 1 }
+        ]
       }
     };
   }
 
+  /**
+   * Get default presentation flow
+   * @returns {Array<Object>} Default flow steps
+   */
+  getDefaultPresentationFlow() {
+    return [
+      {
+        section: 'chaos',
+        title: 'The Current State - Chaos',
+        duration: 60000,
+        actions: [
+          { type: 'showSection', target: 'chaos' },
+          { type: 'highlight3DPapers', delay: 2000 },
+          { type: 'showProblemCount', delay: 4000 },
+          { type: 'emphasizeCosts', delay: 6000 }
+        ],
+        presenterNotes: 'Introduce the current chaotic state. Point out the scattered papers representing problems. Emphasize financial impact.'
+      },
+      {
+        section: 'valet',
+        title: 'The Valet - Firefighter Response',
+        duration: 90000,
+        actions: [
+          { type: 'showSection', target: 'valet' },
+          { type: 'showFirefighter', delay: 2000 },
+          { type: 'demonstrateProblemSolving', delay: 4000 },
+          { type: 'showTrainingSolutions', delay: 6000 },
+          { type: 'animatePaperToBinder', delay: 8000 }
+        ],
+        presenterNotes: 'Explain the valet as a firefighter. Show how problems are addressed reactively. Introduce systematic solutions.'
+      },
+      {
+        section: 'manager',
+        title: 'The Manager - Watchtower Oversight',
+        duration: 90000,
+        actions: [
+          { type: 'showSection', target: 'manager' },
+          { type: 'showWatchtower', delay: 2000 },
+          { type: 'openBinder', delay: 4000 },
+          { type: 'showProcesses', delay: 6000 },
+          { type: 'demonstrateOversight', delay: 8000 }
+        ],
+        presenterNotes: 'Introduce the manager as watchtower. Show systematic oversight. Demonstrate process organization.'
+      },
+      {
+        section: 'executive',
+        title: 'The Executive - Strategic Overview',
+        duration: 120000,
+        actions: [
+          { type: 'showSection', target: 'executive' },
+          { type: 'showPlane', delay: 2000 },
+          { type: 'displayKPIs', delay: 4000 },
+          { type: 'showROICalculator', delay: 6000 },
+          { type: 'demonstrateROI', delay: 8000 },
+          { type: 'showPredictiveAnalytics', delay: 10000 }
+        ],
+        presenterNotes: 'Present executive view as fire-spotter plane. Show KPIs and ROI. Demonstrate predictive capabilities.'
+      },
+      {
+        section: 'closing',
+        title: 'The Path Forward - Call to Action',
+        duration: 60000,
+        actions: [
+          { type: 'showSection', target: 'closing' },
+          { type: 'showTransformation', delay: 2000 },
+          { type: 'highlightPilotProgram', delay: 4000 },
+          { type: 'showNextSteps', delay: 6000 },
+          { type: 'emphasizeCTA', delay: 8000 }
+        ],
+        presenterNotes: 'Summarize transformation. Highlight pilot program. Strong call to action.'
+      }
+    ];
+  }
+
   /**
    * Get default pilot information
    * @returns {Object} Default pilot info
@@ -247,6 +1030,44 @@ class DataManager {
     };
   }
 
+  /**
+   * Get default survey: every section rated, every problem offered, 0-10 pilot approval
+   * @returns {Object} Default survey
+   */
+  getDefaultSurvey() {
+    return {
+      title: "Quick Survey",
+      sectionRatings: {
+        question: "How useful was each part of the presentation?",
+        sections: ["chaos", "valet", "manager", "executive", "closing"]
+      },
+      resonatedProblem: {
+        question: "Which problem resonated most with you?"
+      },
+      pilotApproval: {
+        question: "How likely are you to approve the pilot?",
+        min: 0,
+        max: 10,
+        minLabel: "Not at all likely",
+        maxLabel: "Extremely likely"
+      }
+    };
+  }
+
+  /**
+   * Get default polls: every problem, asked on the chaos section
+   * @returns {Array<Object>} Default polls
+   */
+  getDefaultPolls() {
+    return [
+      {
+        id: "site-pain",
+        question: "Which problem hurts your site most?",
+        section: "chaos"
+      }
+    ];
+  }
+
   /**
    * Get default ACE Way values
    * @returns {Object} Default ACE Way
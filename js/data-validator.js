@@ -0,0 +1,178 @@
+/**
+ * Data Validator - Validates presentation data against its JSON Schema
+ * Supports the subset of draft-07 used by data/presentation-schema.json
+ */
+
+class DataValidator {
+  constructor() {
+    this.schema = null;
+    this.schemaPath = 'data/presentation-schema.json';
+  }
+
+  /**
+   * Load the schema document
+   * @returns {Promise<Object|null>} Schema, or null when it can't be fetched
+   */
+  async loadSchema() {
+    if (this.schema) return this.schema;
+
+    try {
+      const response = await fetch(this.schemaPath);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      this.schema = await response.json();
+    } catch (error) {
+      console.warn('Failed to load data schema, skipping validation:', error);
+    }
+
+    return this.schema;
+  }
+
+  /**
+   * Validate data against the loaded schema
+   * @param {Object} data - Presentation data
+   * @returns {Array<Object>} Errors as { path, message }
+   */
+  validate(data) {
+    if (!this.schema) return [];
+
+    const errors = [];
+    this.validateNode(data, this.schema, '', errors);
+    return errors;
+  }
+
+  /**
+   * Validate a single value against a schema node
+   * @param {*} value - Value to check
+   * @param {Object} node - Schema node
+   * @param {string} path - Path of the value, e.g. problems[3].section
+   * @param {Array<Object>} errors - Collected errors
+   */
+  validateNode(value, node, path, errors) {
+    if (node.$ref) {
+      node = this.resolveRef(node.$ref);
+      if (!node) return;
+    }
+
+    const displayPath = path || '(root)';
+
+    if (node.type && !this.matchesType(value, node.type)) {
+      errors.push({
+        path: displayPath,
+        message: `expected ${node.type}, got ${this.typeOf(value)}`
+      });
+      return;
+    }
+
+    if (node.enum && !node.enum.includes(value)) {
+      errors.push({
+        path: displayPath,
+        message: `"${value}" is not one of: ${node.enum.join(', ')}`
+      });
+    }
+
+    if (typeof value === 'number') {
+      if (node.minimum !== undefined && value < node.minimum) {
+        errors.push({ path: displayPath, message: `${value} is below minimum ${node.minimum}` });
+      }
+      if (node.maximum !== undefined && value > node.maximum) {
+        errors.push({ path: displayPath, message: `${value} is above maximum ${node.maximum}` });
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (node.minLength !== undefined && value.length < node.minLength) {
+        errors.push({ path: displayPath, message: 'must not be empty' });
+      }
+      if (node.pattern && !new RegExp(node.pattern).test(value)) {
+        errors.push({ path: displayPath, message: `"${value}" does not match ${node.pattern}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (node.minItems !== undefined && value.length < node.minItems) {
+        errors.push({ path: displayPath, message: `expected at least ${node.minItems} item(s)` });
+      }
+      if (node.items) {
+        value.forEach((item, index) => {
+          this.validateNode(item, node.items, `${path}[${index}]`, errors);
+        });
+      }
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      (node.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push({ path: this.joinPath(path, key), message: 'is required' });
+        }
+      });
+
+      Object.keys(value).forEach(key => {
+        const childNode = node.properties?.[key] ||
+          (typeof node.additionalProperties === 'object' ? node.additionalProperties : null);
+        if (childNode) {
+          this.validateNode(value[key], childNode, this.joinPath(path, key), errors);
+        }
+      });
+    }
+  }
+
+  /**
+   * Resolve a local $ref such as #/definitions/problem
+   * @param {string} ref - Reference
+   * @returns {Object|null} Schema node
+   */
+  resolveRef(ref) {
+    if (!ref.startsWith('#/')) {
+      console.warn(`Unsupported schema reference: ${ref}`);
+      return null;
+    }
+
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key], this.schema) || null;
+  }
+
+  /**
+   * Check a value against a JSON Schema type
+   * @param {*} value - Value to check
+   * @param {string|Array<string>} type - Schema type(s)
+   * @returns {boolean} Whether the value matches
+   */
+  matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(t => {
+      switch (t) {
+        case 'integer':
+          return Number.isInteger(value);
+        case 'number':
+          return typeof value === 'number' && Number.isFinite(value);
+        default:
+          return this.typeOf(value) === t;
+      }
+    });
+  }
+
+  /**
+   * Get the JSON type name of a value
+   * @param {*} value - Value
+   * @returns {string} Type name
+   */
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Join a parent path and property name
+   * @param {string} path - Parent path
+   * @param {string} key - Property name
+   * @returns {string} Joined path
+   */
+  joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+}
+
+// Create global instance
+window.DataValidator = DataValidator;
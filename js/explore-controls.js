@@ -0,0 +1,297 @@
+/**
+ * Explore Controls - Free orbit, zoom and pan around the desk for Q&A
+ * Mouse: drag to orbit, right-drag (or Shift-drag) to pan, wheel to zoom.
+ * Touch: one finger orbits, two fingers pinch to zoom and drag to pan.
+ * Keyboard: arrows orbit, Shift+arrows pan, +/- zoom.
+ */
+
+class ExploreControls {
+  /**
+   * @param {CameraDirector} director - Director of the camera to move
+   * @param {HTMLElement} element - Element that receives pointer input (the scene canvas)
+   * @param {Object} bounds - Limits that keep the view around the desk
+   */
+  constructor(director, element, bounds = {}) {
+    this.director = director;
+    this.element = element;
+    this.enabled = false;
+
+    this.bounds = {
+      minDistance: bounds.minDistance ?? 3,
+      maxDistance: bounds.maxDistance ?? 25,
+      minPolarAngle: bounds.minPolarAngle ?? 0.1,
+      maxPolarAngle: bounds.maxPolarAngle ?? Math.PI / 2 - 0.05, // stay above the floor
+      maxTargetOffset: bounds.maxTargetOffset ?? 6, // how far the look-at point may leave the desk
+      maxTargetHeight: bounds.maxTargetHeight ?? 6
+    };
+
+    this.rotateSpeed = 0.005; // radians per pixel
+    this.keyRotateStep = 0.08; // radians per key press
+    this.keyPanStep = 20; // pixels per key press
+    this.zoomSpeed = 0.001; // per wheel delta unit
+
+    this.spherical = new THREE.Spherical();
+    this.pointers = new Map();
+    this.panning = false;
+    this.dragged = false;
+    this.pinchDistance = 0;
+
+    // Bind methods
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleClickCapture = this.handleClickCapture.bind(this);
+    this.handleContextMenu = this.handleContextMenu.bind(this);
+  }
+
+  /**
+   * Take over the camera from its current pose
+   */
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+
+    this.director.stop();
+    this.spherical.setFromVector3(this.director.camera.position.clone().sub(this.director.getTarget()));
+    this.update();
+
+    this.element.style.touchAction = 'none';
+    this.element.addEventListener('pointerdown', this.handlePointerDown);
+    this.element.addEventListener('wheel', this.handleWheel, { passive: false });
+    this.element.addEventListener('contextmenu', this.handleContextMenu);
+    window.addEventListener('pointermove', this.handlePointerMove);
+    window.addEventListener('pointerup', this.handlePointerUp);
+    window.addEventListener('pointercancel', this.handlePointerUp);
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    // The scenes open papers on click and touchend; a drag shouldn't
+    window.addEventListener('click', this.handleClickCapture, true);
+    window.addEventListener('touchend', this.handleClickCapture, true);
+  }
+
+  /**
+   * Release the camera, leaving it where it is
+   */
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+
+    this.element.style.touchAction = '';
+    this.element.removeEventListener('pointerdown', this.handlePointerDown);
+    this.element.removeEventListener('wheel', this.handleWheel);
+    this.element.removeEventListener('contextmenu', this.handleContextMenu);
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('pointercancel', this.handlePointerUp);
+    document.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('click', this.handleClickCapture, true);
+    window.removeEventListener('touchend', this.handleClickCapture, true);
+
+    this.pointers.clear();
+  }
+
+  /**
+   * Start an orbit, pan or pinch
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    if (this.pointers.size === 0) {
+      this.dragged = false;
+      this.panning = e.button === 2 || e.shiftKey;
+    }
+
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (this.pointers.size === 2) {
+      this.pinchDistance = this.getPinch().distance;
+    }
+  }
+
+  /**
+   * Orbit or pan with one pointer; pinch-zoom and pan with two
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerMove(e) {
+    const previous = this.pointers.get(e.pointerId);
+    if (!previous) return;
+
+    if (this.pointers.size === 1) {
+      const dx = e.clientX - previous.x;
+      const dy = e.clientY - previous.y;
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      this.markDragged(dx, dy);
+
+      if (this.panning) {
+        this.pan(dx, dy);
+      } else {
+        this.rotate(dx * this.rotateSpeed, dy * this.rotateSpeed);
+      }
+      return;
+    }
+
+    const before = this.getPinch();
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const after = this.getPinch();
+
+    this.markDragged(after.x - before.x, after.y - before.y);
+    if (after.distance > 0 && this.pinchDistance > 0) {
+      this.zoom(this.pinchDistance / after.distance);
+      this.dragged = true;
+    }
+    this.pinchDistance = after.distance;
+    this.pan(after.x - before.x, after.y - before.y);
+  }
+
+  /**
+   * End a pointer's part in the gesture
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    this.pointers.delete(e.pointerId);
+    this.pinchDistance = this.pointers.size === 2 ? this.getPinch().distance : 0;
+  }
+
+  /**
+   * Zoom with the mouse wheel or trackpad
+   * @param {WheelEvent} e - Wheel event
+   */
+  handleWheel(e) {
+    e.preventDefault();
+    this.zoom(Math.exp(e.deltaY * this.zoomSpeed));
+  }
+
+  /**
+   * Keep right-drag for panning instead of the browser menu
+   * @param {MouseEvent} e - Context menu event
+   */
+  handleContextMenu(e) {
+    e.preventDefault();
+  }
+
+  /**
+   * Orbit, pan and zoom from the keyboard
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+    const step = this.keyRotateStep;
+    const pan = this.keyPanStep;
+    const actions = {
+      ArrowLeft: () => (e.shiftKey ? this.pan(pan, 0) : this.rotate(step, 0)),
+      ArrowRight: () => (e.shiftKey ? this.pan(-pan, 0) : this.rotate(-step, 0)),
+      ArrowUp: () => (e.shiftKey ? this.pan(0, pan) : this.rotate(0, step)),
+      ArrowDown: () => (e.shiftKey ? this.pan(0, -pan) : this.rotate(0, -step)),
+      '+': () => this.zoom(0.9),
+      '=': () => this.zoom(0.9),
+      '-': () => this.zoom(1 / 0.9)
+    };
+
+    if (actions[e.key]) {
+      e.preventDefault();
+      actions[e.key]();
+    }
+  }
+
+  /**
+   * Swallow the click or touchend that ends a drag so it doesn't open a paper
+   * @param {Event} e - Click or touchend event
+   */
+  handleClickCapture(e) {
+    if (this.dragged && e.target === this.element) {
+      e.stopPropagation();
+    }
+  }
+
+  /**
+   * Remember that the gesture moved, so its release isn't treated as a click
+   * @param {number} dx - Horizontal movement in pixels
+   * @param {number} dy - Vertical movement in pixels
+   */
+  markDragged(dx, dy) {
+    if (Math.abs(dx) + Math.abs(dy) > 2) this.dragged = true;
+  }
+
+  /**
+   * Centre and spread of the two active pointers
+   * @returns {Object} { x, y, distance }
+   */
+  getPinch() {
+    const [a, b] = Array.from(this.pointers.values());
+    return {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      distance: Math.hypot(a.x - b.x, a.y - b.y)
+    };
+  }
+
+  /**
+   * Orbit the camera around the look-at point
+   * @param {number} yaw - Radians around the vertical axis
+   * @param {number} pitch - Radians towards the top-down view
+   */
+  rotate(yaw, pitch) {
+    this.spherical.theta -= yaw;
+    this.spherical.phi -= pitch;
+    this.update();
+  }
+
+  /**
+   * Move the camera towards or away from the look-at point
+   * @param {number} factor - Distance multiplier (below 1 zooms in)
+   */
+  zoom(factor) {
+    this.spherical.radius *= factor;
+    this.update();
+  }
+
+  /**
+   * Slide the camera and look-at point across the screen plane
+   * @param {number} dx - Horizontal drag in pixels
+   * @param {number} dy - Vertical drag in pixels
+   */
+  pan(dx, dy) {
+    const camera = this.director.camera;
+    const height = this.element.clientHeight || window.innerHeight;
+
+    // Scale so the point under the cursor follows it at the look-at distance
+    const unitsPerPixel = 2 * this.spherical.radius * Math.tan((camera.fov * Math.PI / 180) / 2) / height;
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1);
+
+    const target = this.director.getTarget().clone()
+      .addScaledVector(right, -dx * unitsPerPixel)
+      .addScaledVector(up, dy * unitsPerPixel);
+
+    this.director.getTarget().copy(target);
+    this.update();
+  }
+
+  /**
+   * Apply the bounds and place the camera
+   */
+  update() {
+    const { bounds, spherical } = this;
+    const target = this.director.getTarget();
+
+    spherical.radius = Math.max(bounds.minDistance, Math.min(bounds.maxDistance, spherical.radius));
+    spherical.phi = Math.max(bounds.minPolarAngle, Math.min(bounds.maxPolarAngle, spherical.phi));
+
+    // Keep the look-at point over the desk area
+    const offset = Math.hypot(target.x, target.z);
+    if (offset > bounds.maxTargetOffset) {
+      target.x *= bounds.maxTargetOffset / offset;
+      target.z *= bounds.maxTargetOffset / offset;
+    }
+    target.y = Math.max(0, Math.min(bounds.maxTargetHeight, target.y));
+
+    const camera = this.director.camera;
+    camera.position.copy(target).add(new THREE.Vector3().setFromSpherical(spherical));
+    this.director.setTarget(target);
+    camera.updateMatrixWorld();
+  }
+}
+
+// Export class
+window.ExploreControls = ExploreControls;
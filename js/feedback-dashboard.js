@@ -0,0 +1,489 @@
+/**
+ * Feedback Dashboard - Admin view of the audience feedback in the outbox
+ * Lists every response with its delivery status, filters by role, date and text,
+ * summarizes per role, charts survey answers by audience (role or deck),
+ * reports which problems held the audience's attention (from the analytics events)
+ * and exports the filtered responses as CSV or JSON
+ */
+
+class FeedbackDashboard {
+  constructor() {
+    this.outbox = null;
+    this.analytics = null;
+    this.responses = [];
+    this.engagementEvents = [];
+    this.roleLabels = {
+      executive: 'Executive',
+      manager: 'Manager',
+      valet: 'Valet',
+      other: 'Other',
+      '': 'Not given'
+    };
+    this.seriesCount = 6; // fd-series-* chart colors in main.css
+
+    // Bind methods
+    this.render = this.render.bind(this);
+  }
+
+  /**
+   * Initialize the dashboard
+   */
+  async init() {
+    this.outbox = new window.OfflineOutbox();
+    this.analytics = new window.AnalyticsTracker(this.outbox);
+
+    const filters = document.getElementById('fd-filters');
+    filters?.addEventListener('input', this.render);
+    filters?.addEventListener('submit', (e) => e.preventDefault());
+    filters?.addEventListener('reset', () => setTimeout(this.render));
+
+    document.getElementById('fd-refresh')?.addEventListener('click', () => this.load());
+    document.getElementById('fd-export-csv')?.addEventListener('click', () => this.export('csv'));
+    document.getElementById('fd-export-json')?.addEventListener('click', () => this.export('json'));
+
+    // Section and problem titles for the survey charts
+    try {
+      await window.dataManager?.loadData();
+    } catch (error) {
+      console.warn('Failed to load presentation data, charts will show IDs:', error);
+    }
+
+    await this.load();
+    console.log('Feedback dashboard initialized');
+  }
+
+  /**
+   * Read feedback and analytics events from the outbox
+   */
+  async load() {
+    try {
+      const items = await this.outbox.getItems('feedback');
+      this.responses = items.map(item => ({
+        name: item.payload.name || '',
+        role: item.payload.role || '',
+        comments: item.payload.comments || '',
+        deck: item.payload.deck || '',
+        survey: item.payload.survey || null,
+        timestamp: item.payload.timestamp || new Date(item.createdAt).toISOString(),
+        status: item.status,
+        lastError: item.lastError
+      })).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    } catch (error) {
+      console.warn('Failed to load feedback:', error);
+      this.responses = [];
+    }
+
+    this.engagementEvents = await this.analytics.getEvents();
+
+    this.renderRoleOptions();
+    this.render();
+  }
+
+  /**
+   * Offer every known role, plus any others found in the responses
+   */
+  renderRoleOptions() {
+    const select = document.getElementById('fd-role');
+    if (!select) return;
+
+    const selected = select.value;
+    const roles = [...new Set([...Object.keys(this.roleLabels), ...this.responses.map(response => response.role)])];
+
+    select.innerHTML = `
+      <option value="all">All roles</option>
+      ${roles.map(role => `<option value="${window.TextUtils.escapeHTML(role)}">${window.TextUtils.escapeHTML(this.getRoleLabel(role))}</option>`).join('')}
+    `;
+    select.value = roles.includes(selected) ? selected : 'all';
+  }
+
+  /**
+   * Current filter values
+   * @returns {Object} { role, from, to, search, compareBy }
+   */
+  getFilters() {
+    const value = id => document.getElementById(id)?.value || '';
+
+    return {
+      role: document.getElementById('fd-role')?.value ?? 'all',
+      from: value('fd-from'),
+      to: value('fd-to'),
+      search: value('fd-search').trim().toLowerCase(),
+      compareBy: value('fd-compare') || 'role'
+    };
+  }
+
+  /**
+   * Responses matching the filters
+   * @returns {Array<Object>} Responses, newest first
+   */
+  getFiltered() {
+    const { role, search } = this.getFilters();
+    const { start, end } = this.getDateRange();
+
+    return this.responses.filter(response => {
+      const time = new Date(response.timestamp).getTime();
+      const text = `${response.name} ${response.comments}`.toLowerCase();
+
+      return (role === 'all' || response.role === role) &&
+        time >= start && time <= end &&
+        (!search || text.includes(search));
+    });
+  }
+
+  /**
+   * Time range picked in the date filters
+   * @returns {Object} { start, end } in ms, open ends as -Infinity and Infinity
+   */
+  getDateRange() {
+    const { from, to } = this.getFilters();
+
+    // Date inputs are local calendar days
+    return {
+      start: from ? new Date(`${from}T00:00:00`).getTime() : -Infinity,
+      end: to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity
+    };
+  }
+
+  /**
+   * Count, share and latest response per role
+   * @param {Array<Object>} responses - Responses to summarize
+   * @returns {Array<Object>} { role, count, share, withComments, latest }, most responses first
+   */
+  getAggregates(responses) {
+    const byRole = new Map();
+
+    responses.forEach(response => {
+      const entry = byRole.get(response.role) || { role: response.role, count: 0, withComments: 0, latest: null };
+      entry.count++;
+      if (response.comments.trim()) entry.withComments++;
+      if (!entry.latest || response.timestamp > entry.latest) entry.latest = response.timestamp;
+      byRole.set(response.role, entry);
+    });
+
+    return [...byRole.values()]
+      .map(entry => ({ ...entry, share: entry.count / responses.length }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Redraw the summary and the response list for the current filters
+   */
+  render() {
+    const responses = this.getFiltered();
+    const aggregates = this.getAggregates(responses);
+
+    const count = document.getElementById('fd-count');
+    if (count) {
+      count.textContent = `(${responses.length} of ${this.responses.length})`;
+    }
+
+    const summary = document.getElementById('fd-aggregates');
+    if (summary) {
+      summary.innerHTML = `
+        <thead>
+          <tr><th>Role</th><th>Responses</th><th>Share</th><th>With comments</th><th>Latest</th></tr>
+        </thead>
+        <tbody>
+          ${aggregates.map(entry => `
+            <tr>
+              <td>${window.TextUtils.escapeHTML(this.getRoleLabel(entry.role))}</td>
+              <td>${entry.count}</td>
+              <td>${Math.round(entry.share * 100)}%</td>
+              <td>${entry.withComments}</td>
+              <td>${this.formatDate(entry.latest)}</td>
+            </tr>
+          `).join('') || '<tr><td colspan="5" class="fd-empty">No responses</td></tr>'}
+        </tbody>
+      `;
+    }
+
+    const list = document.getElementById('fd-list');
+    if (list) {
+      list.innerHTML = `
+        <thead>
+          <tr><th>Date</th><th>Name</th><th>Role</th><th>Comments</th><th>Delivery</th></tr>
+        </thead>
+        <tbody>
+          ${responses.map(response => `
+            <tr>
+              <td>${this.formatDate(response.timestamp)}</td>
+              <td>${window.TextUtils.escapeHTML(response.name) || '&mdash;'}</td>
+              <td>${window.TextUtils.escapeHTML(this.getRoleLabel(response.role))}</td>
+              <td class="fd-comments">${window.TextUtils.escapeHTML(response.comments)}</td>
+              <td><span class="fd-status ${response.status}" title="${window.TextUtils.escapeHTML(response.lastError || '')}">${response.status}</span></td>
+            </tr>
+          `).join('') || '<tr><td colspan="5" class="fd-empty">No feedback matches these filters</td></tr>'}
+        </tbody>
+      `;
+    }
+
+    this.renderSurvey(responses);
+    this.renderEngagement();
+
+    document.querySelectorAll('#fd-export-csv, #fd-export-json').forEach(button => {
+      button.disabled = responses.length === 0;
+    });
+  }
+
+  /**
+   * Chart survey answers, one bar per audience
+   * @param {Array<Object>} responses - Filtered responses
+   */
+  renderSurvey(responses) {
+    const { compareBy } = this.getFilters();
+    const surveyed = responses.filter(response => response.survey);
+    const groups = [...new Set(surveyed.map(response => this.getAudience(response, compareBy)))].sort();
+    const inGroup = group => surveyed.filter(response => this.getAudience(response, compareBy) === group);
+    const average = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+    const legend = document.getElementById('fd-legend');
+    if (legend) {
+      legend.innerHTML = groups.map((group, index) => `
+        <li><span class="fd-swatch fd-series-${index % this.seriesCount}"></span>${window.TextUtils.escapeHTML(this.getAudienceLabel(group, compareBy))} (${inGroup(group).length})</li>
+      `).join('');
+    }
+
+    // Sections in survey order, then any others found in older answers
+    const surveySections = window.dataManager?.getSurvey().sectionRatings?.sections || [];
+    const sectionIds = [...new Set([
+      ...surveySections.map(section => section.id),
+      ...surveyed.flatMap(response => Object.keys(response.survey.ratings || {}))
+    ])];
+    const sectionRows = sectionIds.map(id => ({
+      label: surveySections.find(section => section.id === id)?.title || id,
+      values: groups.map(group => average(inGroup(group)
+        .map(response => response.survey.ratings?.[id])
+        .filter(Number.isFinite)))
+    })).filter(row => row.values.some(value => value !== null));
+
+    // Each audience's answers as shares, so small and large audiences compare
+    const problemIds = [...new Set(surveyed.map(response => response.survey.resonatedProblem).filter(Boolean))];
+    const problemRows = problemIds.map(id => ({
+      label: window.dataManager?.getProblem(id)?.title || id,
+      values: groups.map(group => {
+        const answered = inGroup(group).filter(response => response.survey.resonatedProblem);
+        return answered.length
+          ? answered.filter(response => response.survey.resonatedProblem === id).length / answered.length
+          : null;
+      })
+    })).sort((a, b) => Math.max(...b.values) - Math.max(...a.values));
+
+    // Scores on whatever scale each survey used, rescaled to 0-10
+    const approvalRows = [{
+      label: 'All answers',
+      values: groups.map(group => average(inGroup(group)
+        .filter(response => Number.isFinite(response.survey.pilotApproval))
+        .map(response => {
+          const [min, max] = response.survey.pilotApprovalScale || [0, 10];
+          return max > min ? ((response.survey.pilotApproval - min) / (max - min)) * 10 : 0;
+        })))
+    }].filter(row => row.values.some(value => value !== null));
+
+    this.setChart('fd-chart-sections', this.renderBarChart(sectionRows, 5, value => value.toFixed(1)));
+    this.setChart('fd-chart-problems', this.renderBarChart(problemRows, 1, value => `${Math.round(value * 100)}%`));
+    this.setChart('fd-chart-approval', this.renderBarChart(approvalRows, 10, value => value.toFixed(1)));
+  }
+
+  /**
+   * Show which problems, KPIs and sections held attention in the filtered date range
+   */
+  renderEngagement() {
+    const { start, end } = this.getDateRange();
+    const events = this.engagementEvents.filter(event => event.timestamp >= start && event.timestamp <= end);
+    const report = this.analytics.getReport(events);
+    const sectionLabel = id => window.dataManager?.getSection(id)?.title || id;
+
+    const summary = document.getElementById('fd-engagement-summary');
+    if (summary) {
+      summary.textContent = `${report.sessions} presentation${report.sessions === 1 ? '' : 's'}, ` +
+        `${report.roiAdjustments} ROI slider adjustment${report.roiAdjustments === 1 ? '' : 's'}, ` +
+        `${report.pdfExports} PDF export${report.pdfExports === 1 ? '' : 's'}`;
+    }
+
+    this.setChart('fd-engagement-problems', this.renderAttentionTable(report.problems, 'Problem', 'No problems opened'));
+    this.setChart('fd-engagement-modals', this.renderAttentionTable(report.modals, 'KPI or detail', 'No KPI, pilot or character details opened'));
+    this.setChart('fd-engagement-sections', this.renderAttentionTable(
+      report.sections.map(entry => ({ ...entry, label: sectionLabel(entry.target) })),
+      'Section',
+      'No sections viewed'
+    ));
+  }
+
+  /**
+   * Table of attention rows from AnalyticsTracker.getReport
+   * @param {Array<Object>} rows - { label, opens, totalDwell, averageDwell, longestDwell }
+   * @param {string} heading - First column heading
+   * @param {string} emptyText - Shown when there are no rows
+   * @returns {string} Table markup
+   */
+  renderAttentionTable(rows, heading, emptyText) {
+    return `
+      <table class="fd-table">
+        <thead>
+          <tr><th>${heading}</th><th>Views</th><th>Total time</th><th>Average</th><th>Longest</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td>${window.TextUtils.escapeHTML(row.label)}</td>
+              <td>${row.opens}</td>
+              <td>${window.TextUtils.formatDuration(row.totalDwell)}</td>
+              <td>${window.TextUtils.formatDuration(row.averageDwell)}</td>
+              <td>${window.TextUtils.formatDuration(row.longestDwell)}</td>
+            </tr>
+          `).join('') || `<tr><td colspan="5" class="fd-empty">${emptyText}</td></tr>`}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Grouped horizontal bar chart: one row per label, one bar per audience
+   * @param {Array<Object>} rows - { label, values } with one value (or null) per audience
+   * @param {number} max - Value at full bar width
+   * @param {Function} format - Formats a value for its bar label
+   * @returns {string} SVG markup, or a note when there is nothing to chart
+   */
+  renderBarChart(rows, max, format) {
+    if (rows.length === 0) {
+      return '<p class="fd-empty">No survey answers</p>';
+    }
+
+    const barHeight = 12;
+    const barCount = rows[0].values.length;
+    const rowHeight = barCount * barHeight + 12;
+    const labelWidth = 180;
+    const valueWidth = 44;
+    const width = 560;
+    const plotWidth = width - labelWidth - valueWidth;
+    const height = rows.length * rowHeight;
+
+    const content = rows.map((row, rowIndex) => {
+      const top = rowIndex * rowHeight + 6;
+      const bars = row.values.map((value, index) => {
+        if (value === null) return '';
+        const y = top + index * barHeight;
+        const barWidth = Math.max(1, (value / max) * plotWidth);
+        return `
+          <rect x="${labelWidth}" y="${y}" width="${barWidth.toFixed(1)}" height="${barHeight - 2}" class="fd-series-${index % this.seriesCount}"></rect>
+          <text x="${(labelWidth + barWidth + 4).toFixed(1)}" y="${y + barHeight - 3}" class="fd-chart-value">${format(value)}</text>
+        `;
+      }).join('');
+
+      return `
+        <text x="${labelWidth - 8}" y="${top + (barCount * barHeight) / 2 + 4}" text-anchor="end" class="fd-chart-label">${window.TextUtils.escapeHTML(window.TextUtils.truncate(row.label, 26))}</text>
+        ${bars}
+      `;
+    }).join('');
+
+    return `
+      <svg class="fd-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${window.TextUtils.escapeHTML(rows.map(row => row.label).join(', '))}">
+        <line x1="${labelWidth}" y1="0" x2="${labelWidth}" y2="${height}" class="fd-chart-axis"></line>
+        ${content}
+      </svg>
+    `;
+  }
+
+  /**
+   * Put chart markup in its container
+   * @param {string} id - Container ID
+   * @param {string} html - Chart markup
+   */
+  setChart(id, html) {
+    const container = document.getElementById(id);
+    if (container) {
+      container.innerHTML = html;
+    }
+  }
+
+  /**
+   * Which audience a response belongs to
+   * @param {Object} response - Response
+   * @param {string} compareBy - role or deck
+   * @returns {string} Audience key
+   */
+  getAudience(response, compareBy) {
+    return compareBy === 'deck' ? response.deck : response.role;
+  }
+
+  /**
+   * Display name for an audience
+   * @param {string} audience - Audience key
+   * @param {string} compareBy - role or deck
+   * @returns {string} Label
+   */
+  getAudienceLabel(audience, compareBy) {
+    if (compareBy !== 'deck') return this.getRoleLabel(audience);
+
+    const deck = window.dataManager?.getDecks().find(candidate => candidate.id === audience);
+    return deck?.name || audience || 'Unknown deck';
+  }
+
+  /**
+   * Download the filtered responses
+   * @param {string} format - csv or json
+   */
+  export(format) {
+    const responses = this.getFiltered();
+    if (responses.length === 0) return;
+
+    const content = format === 'json'
+      ? JSON.stringify({ exportedAt: new Date().toISOString(), filters: this.getFilters(), responses }, null, 2)
+      : this.toCSV(responses);
+    window.TextUtils.download(
+      content,
+      `feedback-${new Date().toISOString().slice(0, 10)}.${format}`,
+      format === 'json' ? 'application/json' : 'text/csv'
+    );
+  }
+
+  /**
+   * Format responses as CSV
+   * @param {Array<Object>} responses - Responses
+   * @returns {string} CSV with a header row
+   */
+  toCSV(responses) {
+    const sectionIds = [...new Set(responses.flatMap(response => Object.keys(response.survey?.ratings || {})))];
+    const header = [
+      'Date', 'Name', 'Role', 'Deck', 'Comments', 'Delivery',
+      ...sectionIds.map(id => `Rating: ${id}`), 'Resonated Problem', 'Pilot Approval'
+    ];
+    const rows = responses.map(response => [
+      response.timestamp,
+      response.name,
+      response.role,
+      response.deck,
+      response.comments,
+      response.status,
+      ...sectionIds.map(id => response.survey?.ratings?.[id]),
+      response.survey?.resonatedProblem,
+      response.survey?.pilotApproval
+    ]);
+
+    return window.TextUtils.toCSV([header, ...rows]);
+  }
+
+  /**
+   * Display name for a role value
+   * @param {string} role - Role value from the form
+   * @returns {string} Label
+   */
+  getRoleLabel(role) {
+    return this.roleLabels[role] || role;
+  }
+
+  /**
+   * Format a timestamp for the tables
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} Local date and time
+   */
+  formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+  }
+}
+
+// Initialize feedback dashboard when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.feedbackDashboard = new FeedbackDashboard();
+  window.feedbackDashboard.init();
+});
@@ -0,0 +1,706 @@
+/**
+ * Flat Scene - Canvas2D fallback for devices without WebGL
+ * Draws the desk, problem papers and character hotspots, and dispatches the
+ * same events as the 3D scenes so modals and the paper-to-binder flow keep working
+ */
+
+class FlatScene {
+  constructor() {
+    this.canvas = null;
+    this.context = null;
+    this.width = 0;
+    this.height = 0;
+    this.tooltip = null;
+    this.hoveredObject = null;
+    this.renderQueued = false;
+    this.currentSection = 'chaos';
+
+    // Game objects; positions and sizes are fractions of the canvas size
+    this.gameObjects = {
+      desk: null,
+      papers: [],
+      firefighter: null,
+      watchtower: null,
+      plane: null,
+      binder: null
+    };
+
+    this.interactiveObjects = [];
+
+    // Fallback colors when the CSS custom properties can't be read
+    this.colors = {
+      red: '#e74c3c',
+      yellow: '#f39c12',
+      blue: '#3498db',
+      green: '#2ecc71',
+      dark: '#2c3e50',
+      light: '#ecf0f1',
+      desk: '#8b5a2b'
+    };
+
+    // Bind methods
+    this.render = this.render.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onMouseClick = this.onMouseClick.bind(this);
+    this.onWindowResize = this.onWindowResize.bind(this);
+  }
+
+  /**
+   * Initialize the scene
+   */
+  init() {
+    this.setupCanvas();
+    this.readThemeColors();
+    this.createGameObjects();
+    this.setupInteraction();
+    this.updateObjectVisibility(this.currentSection);
+    this.onWindowResize();
+
+    console.log('Flat 2D scene initialized');
+  }
+
+  /**
+   * Get a 2D context for the scene canvas. A canvas that already holds a WebGL
+   * context can't hand out a 2D one, so it is swapped for a fresh element.
+   */
+  setupCanvas() {
+    this.canvas = document.getElementById('three-canvas');
+    this.context = this.canvas.getContext('2d');
+
+    if (!this.context) {
+      const canvas = document.createElement('canvas');
+      canvas.id = this.canvas.id;
+      this.canvas.replaceWith(canvas);
+      this.canvas = canvas;
+      this.context = canvas.getContext('2d');
+    }
+  }
+
+  /**
+   * Use the theme colors from the stylesheet
+   */
+  readThemeColors() {
+    const styles = getComputedStyle(document.documentElement);
+    const variables = {
+      red: '--color-chaos-red',
+      yellow: '--color-chaos-yellow',
+      blue: '--color-solution-blue',
+      green: '--color-solution-green',
+      dark: '--color-neutral-dark',
+      light: '--color-neutral-light'
+    };
+
+    Object.entries(variables).forEach(([key, variable]) => {
+      const value = styles.getPropertyValue(variable).trim();
+      if (value) {
+        this.colors[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Create desk, papers and character hotspots
+   */
+  createGameObjects() {
+    this.gameObjects.desk = { x: 0.5, y: 0.62, w: 0.7, h: 0.42 };
+
+    // Same layout as the 3D scenes' 8 x 6 desk, viewed from above
+    const problems = (window.dataManager?.getProblemsBySection('valet') || []).slice(0, 12);
+    this.paperSeverity = new window.PaperSeverity(problems);
+
+    const placements = new window.PaperLayout({
+      deskWidth: 8,
+      deskDepth: 6,
+      paperWidth: 0.8,
+      paperDepth: 0.6,
+      seed: window.dataManager?.getLayoutSeed(),
+      getScale: problem => this.paperSeverity.getScale(problem)
+    }).layout(problems);
+
+    problems.forEach((problemData, i) => {
+      const paper = this.createPaper(i, problemData, placements[i]);
+      this.gameObjects.papers.push(paper);
+      this.interactiveObjects.push(paper);
+    });
+
+    this.gameObjects.firefighter = this.createHotspot('firefighter', 0.1, 0.55, 0.08, 0.2);
+    this.gameObjects.watchtower = this.createHotspot('watchtower', 0.9, 0.45, 0.07, 0.36);
+    this.gameObjects.plane = this.createHotspot('plane', 0.5, 0.14, 0.14, 0.1);
+    this.gameObjects.binder = this.createHotspot('binder', 0.72, 0.72, 0.08, 0.12);
+
+    ['firefighter', 'watchtower', 'plane', 'binder'].forEach(type => {
+      this.interactiveObjects.push(this.gameObjects[type]);
+    });
+  }
+
+  /**
+   * Create a paper on the desk
+   * @param {number} index - Paper index
+   * @param {Object} problemData - Problem data
+   * @param {Object} placement - Position from PaperLayout, in desk units
+   * @returns {Object} Paper
+   */
+  createPaper(index, problemData, placement) {
+    const desk = this.gameObjects.desk;
+    const scale = this.paperSeverity.getScale(problemData);
+    const x = desk.x + (placement.x / 8) * desk.w;
+    const y = desk.y + (placement.z / 6) * desk.h;
+
+    return {
+      name: `paper-${index}`,
+      x,
+      y,
+      w: desk.w * 0.1 * scale,
+      h: desk.h * 0.1 * scale,
+      rotation: -placement.rotation,
+      pileSheets: this.paperSeverity.getPileSheets(problemData),
+      color: this.colors[problemData?.paper_color] || this.colors.red,
+      visible: true,
+      userData: {
+        type: 'paper',
+        problemData,
+        index,
+        originalPosition: { x, y },
+        originalRotation: -placement.rotation
+      }
+    };
+  }
+
+  /**
+   * Create a character hotspot
+   * @param {string} type - firefighter, watchtower, plane or binder
+   * @param {number} x - Center x (fraction of width)
+   * @param {number} y - Center y (fraction of height)
+   * @param {number} w - Width (fraction of width)
+   * @param {number} h - Height (fraction of height)
+   * @returns {Object} Hotspot
+   */
+  createHotspot(type, x, y, w, h) {
+    return {
+      name: type,
+      x, y, w, h,
+      rotation: 0,
+      visible: false,
+      userData: { type }
+    };
+  }
+
+  /**
+   * Setup interaction
+   */
+  setupInteraction() {
+    this.canvas.addEventListener('mousemove', this.onMouseMove);
+    this.canvas.addEventListener('click', this.onMouseClick);
+    window.addEventListener('resize', this.onWindowResize);
+  }
+
+  /**
+   * Find the topmost visible object under a point
+   * @param {MouseEvent} event - Mouse event
+   * @returns {Object|null} Object under the pointer
+   */
+  hitTest(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const px = event.clientX - rect.left;
+    const py = event.clientY - rect.top;
+
+    for (let i = this.interactiveObjects.length - 1; i >= 0; i--) {
+      const object = this.interactiveObjects[i];
+      if (!object.visible) continue;
+
+      // Rotate the point into the object's frame
+      const dx = px - object.x * this.width;
+      const dy = py - object.y * this.height;
+      const cos = Math.cos(-object.rotation);
+      const sin = Math.sin(-object.rotation);
+      const localX = dx * cos - dy * sin;
+      const localY = dx * sin + dy * cos;
+
+      if (Math.abs(localX) <= object.w * this.width / 2 &&
+          Math.abs(localY) <= object.h * this.height / 2) {
+        return object;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle mouse move
+   * @param {MouseEvent} event - Mouse event
+   */
+  onMouseMove(event) {
+    const object = this.hitTest(event);
+
+    if (object !== this.hoveredObject) {
+      this.hoveredObject = object;
+      this.requestRender();
+    }
+
+    if (object) {
+      this.canvas.style.cursor = 'pointer';
+      this.showTooltip(object, event.clientX, event.clientY);
+    } else {
+      this.canvas.style.cursor = 'default';
+      this.hideTooltip();
+    }
+  }
+
+  /**
+   * Handle mouse click
+   * @param {MouseEvent} event - Mouse event
+   */
+  onMouseClick(event) {
+    const object = this.hitTest(event);
+    if (object) {
+      this.handleObjectClick(object);
+    }
+  }
+
+  /**
+   * Handle object click
+   * @param {Object} object - Clicked object
+   */
+  handleObjectClick(object) {
+    const { type, problemData } = object.userData;
+
+    switch (type) {
+      case 'paper':
+        if (problemData) {
+          window.dispatchEvent(new CustomEvent('paperClicked', {
+            detail: { problemData, paperMesh: object }
+          }));
+        }
+        break;
+      case 'firefighter':
+        this.handleCharacterClick('firefighter', 'The valet is ready to tackle problems!');
+        break;
+      case 'watchtower':
+        this.handleCharacterClick('watchtower', 'The manager oversees from the watchtower!');
+        break;
+      case 'plane':
+        this.handleCharacterClick('plane', 'The executive surveys from above!');
+        break;
+      case 'binder':
+        this.handleCharacterClick('binder', 'The operations manual!');
+        break;
+    }
+  }
+
+  /**
+   * Handle character click
+   * @param {string} type - Character type
+   * @param {string} message - Event message
+   */
+  handleCharacterClick(type, message) {
+    this.animateBounce(this.gameObjects[type]);
+
+    window.dispatchEvent(new CustomEvent(`${type}Clicked`, {
+      detail: { type, message }
+    }));
+  }
+
+  /**
+   * Simple bounce animation
+   * @param {Object} object - Object to bounce
+   */
+  animateBounce(object) {
+    if (!object) return;
+
+    const startTime = Date.now();
+    const duration = 400;
+
+    const animate = () => {
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+      object.scale = 1 + Math.sin(progress * Math.PI) * 0.2;
+      this.requestRender();
+
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      }
+    };
+
+    animate();
+  }
+
+  /**
+   * Transition to section
+   * @param {string} sectionId - Section ID
+   */
+  transitionToSection(sectionId) {
+    this.currentSection = sectionId;
+    this.updateObjectVisibility(sectionId);
+    this.requestRender();
+  }
+
+  /**
+   * Show the characters introduced up to this section
+   * @param {string} sectionId - Section ID
+   */
+  updateObjectVisibility(sectionId) {
+    const visibleBySection = {
+      chaos: [],
+      valet: ['firefighter'],
+      manager: ['firefighter', 'watchtower', 'binder'],
+      executive: ['firefighter', 'watchtower', 'plane', 'binder'],
+      closing: ['firefighter', 'watchtower', 'plane', 'binder']
+    };
+    const visible = visibleBySection[sectionId] || [];
+
+    ['firefighter', 'watchtower', 'plane', 'binder'].forEach(type => {
+      this.gameObjects[type].visible = visible.includes(type);
+    });
+  }
+
+  /**
+   * Animate paper to binder
+   * @param {Object} paper - Paper from the paperClicked event
+   * @param {Function} callback - Called once the paper is filed
+   * @param {Object} slot - Binder tab { index, count }; tabs split the binder left to right
+   */
+  animatePaperToBinder(paper, callback, slot = { index: 0, count: 1 }) {
+    if (!paper) return;
+
+    const hotspot = this.gameObjects.binder;
+    const binder = {
+      x: hotspot.x + ((slot.index + 0.5) / slot.count - 0.5) * hotspot.w,
+      y: hotspot.y
+    };
+    const start = { x: paper.x, y: paper.y };
+    const startTime = Date.now();
+    const duration = 1000;
+
+    const animate = () => {
+      const progress = Math.min((Date.now() - startTime) / duration, 1);
+
+      paper.x = start.x + (binder.x - start.x) * progress;
+      paper.y = start.y + (binder.y - start.y) * progress;
+      paper.rotation += 0.1;
+      this.requestRender();
+
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      } else {
+        paper.visible = false;
+        paper.userData.isFiled = true;
+        this.requestRender();
+        if (callback) callback();
+      }
+    };
+
+    animate();
+  }
+
+  /**
+   * File a problem's paper straight away, e.g. when restoring a saved queue
+   * @param {string} problemId - Problem ID
+   * @returns {boolean} Whether a paper was filed
+   */
+  fileProblem(problemId) {
+    const paper = this.findPaper(problemId, false);
+    if (!paper) return false;
+
+    paper.visible = false;
+    paper.userData.isFiled = true;
+    this.requestRender();
+    return true;
+  }
+
+  /**
+   * Put a filed problem's paper back where it lay on the desk
+   * @param {string} problemId - Problem ID
+   * @returns {boolean} Whether a paper was returned
+   */
+  unfileProblem(problemId) {
+    const paper = this.findPaper(problemId, true);
+    if (!paper) return false;
+
+    paper.x = paper.userData.originalPosition.x;
+    paper.y = paper.userData.originalPosition.y;
+    paper.rotation = paper.userData.originalRotation;
+    paper.visible = true;
+    paper.userData.isFiled = false;
+    this.requestRender();
+    return true;
+  }
+
+  /**
+   * Find a problem's paper
+   * @param {string} problemId - Problem ID
+   * @param {boolean} filed - Whether to look for it in the binder or on the desk
+   * @returns {Object|undefined} Paper
+   */
+  findPaper(problemId, filed) {
+    return this.gameObjects.papers.find(paper =>
+      paper.userData.problemData?.id === problemId && Boolean(paper.userData.isFiled) === filed
+    );
+  }
+
+  /**
+   * Load external models. The flat scene has none, so this completes immediately.
+   * @param {Function} onProgress - Called with { loaded, total, progress }
+   * @returns {Promise<Object>} Empty load result
+   */
+  async loadModels(onProgress = () => {}) {
+    onProgress({ loaded: 0, total: 0, progress: 1 });
+    return {};
+  }
+
+  /**
+   * Get game object by type
+   * @param {string} type - desk, papers, firefighter, watchtower, plane or binder
+   * @returns {Object|Array|undefined} Game object
+   */
+  getGameObject(type) {
+    return this.gameObjects[type];
+  }
+
+  /**
+   * Capture the current view as a small JPEG data URL
+   * @param {number} width - Thumbnail width in pixels
+   * @returns {string|null} JPEG data URL
+   */
+  captureThumbnail(width = 320) {
+    if (!this.canvas?.width) return null;
+
+    this.render();
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = width;
+    thumbnail.height = Math.round(width * (this.canvas.height / this.canvas.width));
+    thumbnail.getContext('2d').drawImage(this.canvas, 0, 0, thumbnail.width, thumbnail.height);
+    return thumbnail.toDataURL('image/jpeg', 0.7);
+  }
+
+  /**
+   * Handle window resize, keeping the backing store at device resolution
+   */
+  onWindowResize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.width = this.canvas.clientWidth || window.innerWidth;
+    this.height = this.canvas.clientHeight || window.innerHeight;
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.render();
+  }
+
+  /**
+   * Schedule a redraw on the next frame. Nothing moves unless something
+   * changes, so there is no continuous loop.
+   */
+  requestRender() {
+    if (this.renderQueued) return;
+
+    this.renderQueued = true;
+    requestAnimationFrame(() => {
+      this.renderQueued = false;
+      this.render();
+    });
+  }
+
+  /**
+   * Draw the whole scene
+   */
+  render() {
+    const ctx = this.context;
+    if (!ctx) return;
+
+    ctx.fillStyle = '#f0f0f0';
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    this.drawDesk();
+
+    this.gameObjects.papers.forEach(paper => {
+      if (paper.visible) this.drawPaper(paper);
+    });
+
+    ['watchtower', 'plane', 'firefighter', 'binder'].forEach(type => {
+      const object = this.gameObjects[type];
+      if (object.visible) this.drawHotspot(object);
+    });
+  }
+
+  /**
+   * Draw the desk
+   */
+  drawDesk() {
+    const { x, y, w, h } = this.toPixels(this.gameObjects.desk);
+    const ctx = this.context;
+
+    ctx.fillStyle = this.colors.desk;
+    ctx.fillRect(x - w / 2, y - h / 2, w, h);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
+    ctx.fillRect(x - w / 2, y + h / 2, w, 8);
+  }
+
+  /**
+   * Draw a paper with a few text lines, on a pile as deep as its severity
+   * @param {Object} paper - Paper
+   */
+  drawPaper(paper) {
+    this.withTransform(paper, (w, h) => {
+      const ctx = this.context;
+
+      ctx.fillStyle = '#f5f5f5';
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+      ctx.lineWidth = 1;
+      for (let sheet = paper.pileSheets; sheet > 0; sheet--) {
+        ctx.fillRect(-w / 2 + sheet * 3, -h / 2 + sheet * 3, w, h);
+        ctx.strokeRect(-w / 2 + sheet * 3, -h / 2 + sheet * 3, w, h);
+      }
+
+      ctx.fillStyle = paper.color;
+      ctx.fillRect(-w / 2, -h / 2, w, h);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      for (let line = 0; line < 3; line++) {
+        ctx.fillRect(-w / 2 + w * 0.15, -h / 2 + h * (0.25 + line * 0.2), w * 0.7, 2);
+      }
+    });
+  }
+
+  /**
+   * Draw a character hotspot as a labelled shape
+   * @param {Object} object - Hotspot
+   */
+  drawHotspot(object) {
+    const labels = {
+      firefighter: 'Valet',
+      watchtower: 'Manager',
+      plane: 'Executive',
+      binder: 'Manual'
+    };
+    const fills = {
+      firefighter: this.colors.red,
+      watchtower: '#808080',
+      plane: this.colors.blue,
+      binder: this.colors.dark
+    };
+
+    this.withTransform(object, (w, h) => {
+      const ctx = this.context;
+      const type = object.userData.type;
+
+      ctx.fillStyle = fills[type];
+      if (type === 'firefighter') {
+        ctx.fillRect(-w / 2, -h / 6, w, h * 0.66);
+        ctx.beginPath();
+        ctx.arc(0, -h / 3, w / 3, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (type === 'watchtower') {
+        ctx.fillRect(-w / 4, -h / 4, w / 2, h * 0.75);
+        ctx.beginPath();
+        ctx.moveTo(-w / 2, -h / 4);
+        ctx.lineTo(0, -h / 2);
+        ctx.lineTo(w / 2, -h / 4);
+        ctx.fill();
+      } else if (type === 'plane') {
+        ctx.beginPath();
+        ctx.ellipse(0, 0, w / 2, h / 5, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillRect(-w / 10, -h / 2, w / 5, h);
+      } else {
+        ctx.fillRect(-w / 2, -h / 2, w, h);
+        ctx.fillStyle = this.colors.blue;
+        ctx.fillRect(-w / 2, -h / 2, w / 6, h);
+      }
+
+      ctx.fillStyle = this.colors.dark;
+      ctx.font = '14px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(labels[type], 0, h / 2 + 18);
+    });
+  }
+
+  /**
+   * Translate, rotate and scale the context to an object, then draw it
+   * @param {Object} object - Object with x, y, w, h and rotation
+   * @param {Function} draw - Receives the pixel width and height
+   */
+  withTransform(object, draw) {
+    const { x, y, w, h } = this.toPixels(object);
+    const ctx = this.context;
+    const scale = object.scale || 1;
+
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(object.rotation || 0);
+    ctx.scale(scale, scale);
+    draw(w, h);
+
+    if (object === this.hoveredObject) {
+      ctx.strokeStyle = this.colors.yellow;
+      ctx.lineWidth = 3;
+      ctx.strokeRect(-w / 2 - 3, -h / 2 - 3, w + 6, h + 6);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Convert fractional position and size to pixels
+   * @param {Object} object - Object with x, y, w, h
+   * @returns {Object} Pixel x, y, w, h
+   */
+  toPixels(object) {
+    return {
+      x: object.x * this.width,
+      y: object.y * this.height,
+      w: object.w * this.width,
+      h: object.h * this.height
+    };
+  }
+
+  /**
+   * Show tooltip for hovered object
+   * @param {Object} object - Hovered object
+   * @param {number} x - Pointer x
+   * @param {number} y - Pointer y
+   */
+  showTooltip(object, x, y) {
+    const { type, problemData } = object.userData;
+    const tooltips = {
+      paper: problemData ? problemData.title : 'Click to view problem',
+      firefighter: 'Valet (Firefighter) - Click to learn more',
+      watchtower: 'Manager (Watchtower) - Click to learn more',
+      plane: 'Executive (Plane) - Click to learn more',
+      binder: 'Operations Manual - Click to open'
+    };
+
+    if (!this.tooltip) {
+      this.tooltip = document.createElement('div');
+      this.tooltip.className = 'scene-tooltip';
+      document.body.appendChild(this.tooltip);
+    }
+
+    this.tooltip.textContent = tooltips[type] || 'Click to interact';
+    this.tooltip.style.left = (x + 10) + 'px';
+    this.tooltip.style.top = (y - 30) + 'px';
+    this.tooltip.classList.add('show');
+  }
+
+  /**
+   * Hide tooltip
+   */
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.classList.remove('show');
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  cleanup() {
+    this.canvas?.removeEventListener('mousemove', this.onMouseMove);
+    this.canvas?.removeEventListener('click', this.onMouseClick);
+    window.removeEventListener('resize', this.onWindowResize);
+
+    if (this.tooltip) {
+      document.body.removeChild(this.tooltip);
+      this.tooltip = null;
+    }
+  }
+}
+
+// Export class; SceneRenderer decides whether to use it
+window.FlatScene = FlatScene;
@@ -0,0 +1,81 @@
+/**
+ * IDB Store - A single IndexedDB object store, opened on first use
+ * Backs the rehearsal store, the implementation queue and the offline outbox.
+ * The service worker loads it too (sw.js importScripts), so it only uses self.
+ */
+
+class IdbStore {
+  /**
+   * @param {Object} options - Database and object store settings
+   * @param {string} options.dbName - Database name
+   * @param {number} options.dbVersion - Database version
+   * @param {string} options.storeName - Object store name
+   * @param {string} options.keyPath - Key path of the stored records
+   * @param {boolean} options.autoIncrement - Whether keys are generated
+   * @param {Array<string>} options.indexes - Record fields to index, each under its own name
+   */
+  constructor({ dbName, dbVersion = 1, storeName, keyPath = 'id', autoIncrement = false, indexes = [] }) {
+    this.dbName = dbName;
+    this.dbVersion = dbVersion;
+    this.storeName = storeName;
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.indexes = indexes;
+    this.db = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      if (!self.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, {
+            keyPath: this.keyPath,
+            autoIncrement: this.autoIncrement
+          });
+          this.indexes.forEach(field => store.createIndex(field, field));
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - readonly or readwrite
+   * @param {Function} callback - Receives the store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async request(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = callback(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export class (self is window on the page and the global scope in the service worker)
+self.IdbStore = IdbStore;
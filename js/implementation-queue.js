@@ -0,0 +1,143 @@
+/**
+ * Implementation Queue - Persists "Implement Solution" choices in IndexedDB
+ * Each entry records the problem, its category's solutions and financial impact,
+ * in the order the audience chose to address them
+ */
+
+class ImplementationQueue {
+  constructor() {
+    this.store = new window.IdbStore({
+      dbName: 'ace-presentation-queue',
+      storeName: 'items',
+      keyPath: 'key',
+      indexes: ['deck']
+    });
+  }
+
+  /**
+   * Get a deck's queue in order
+   * @param {string} deck - Deck ID
+   * @returns {Promise<Array<Object>>} Queue entries
+   */
+  async getItems(deck) {
+    const items = await this.store.request('readonly', store => store.index('deck').getAll(deck));
+    return items.sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Add a problem to the end of the queue. Adding a queued problem again keeps its place.
+   * @param {string} deck - Deck ID
+   * @param {Object} problem - Problem record
+   * @param {Array<Object>} solutions - Solutions mapped to the problem
+   * @returns {Promise<Object>} Queue entry
+   */
+  async add(deck, problem, solutions = []) {
+    const items = await this.getItems(deck);
+    const existing = items.find(item => item.problemId === problem.id);
+    if (existing) return existing;
+
+    const item = {
+      key: `${deck}:${problem.id}`,
+      deck,
+      problemId: problem.id,
+      title: problem.title,
+      category: problem.category || null,
+      financialImpact: problem.financial_impact || 0,
+      solutions: solutions.map(solution => ({ id: solution.id, title: solution.title })),
+      addedAt: Date.now(),
+      order: items.length ? items[items.length - 1].order + 1 : 0
+    };
+
+    await this.store.request('readwrite', store => store.put(item));
+    return item;
+  }
+
+  /**
+   * Remove a problem from the queue
+   * @param {string} deck - Deck ID
+   * @param {string} problemId - Problem ID
+   * @returns {Promise<void>}
+   */
+  async remove(deck, problemId) {
+    await this.store.request('readwrite', store => store.delete(`${deck}:${problemId}`));
+  }
+
+  /**
+   * Put the queue in a new order
+   * @param {string} deck - Deck ID
+   * @param {Array<string>} problemIds - Every queued problem ID, in the new order
+   * @returns {Promise<Array<Object>>} Reordered entries
+   */
+  async reorder(deck, problemIds) {
+    const items = await this.getItems(deck);
+    const reordered = problemIds
+      .map(problemId => items.find(item => item.problemId === problemId))
+      .filter(Boolean)
+      .map((item, order) => ({ ...item, order }));
+
+    await this.store.request('readwrite', store => {
+      let request = null;
+      reordered.forEach(item => {
+        request = store.put(item);
+      });
+      return request || store.count();
+    });
+
+    return reordered;
+  }
+
+  /**
+   * Turn queue entries into a file for sharing
+   * @param {Array<Object>} items - Queue entries in order
+   * @param {string} format - csv or json
+   * @returns {string} File contents
+   */
+  serialize(items, format = 'csv') {
+    if (format === 'json') {
+      return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        queue: items.map((item, index) => ({
+          position: index + 1,
+          problemId: item.problemId,
+          title: item.title,
+          category: item.category,
+          financialImpact: item.financialImpact,
+          solutions: item.solutions,
+          addedAt: new Date(item.addedAt).toISOString()
+        }))
+      }, null, 2);
+    }
+
+    const header = ['Position', 'Problem ID', 'Problem', 'Category', 'Financial Impact', 'Solutions', 'Added'];
+    const rows = items.map((item, index) => [
+      index + 1,
+      item.problemId,
+      item.title,
+      item.category,
+      item.financialImpact,
+      item.solutions.map(solution => solution.title).join('; '),
+      new Date(item.addedAt).toISOString()
+    ]);
+
+    return window.TextUtils.toCSV([header, ...rows]);
+  }
+
+  /**
+   * Empty a deck's queue
+   * @param {string} deck - Deck ID
+   * @returns {Promise<void>}
+   */
+  async clear(deck) {
+    const items = await this.getItems(deck);
+    await this.store.request('readwrite', store => {
+      let request = null;
+      items.forEach(item => {
+        request = store.delete(item.key);
+      });
+      return request || store.count();
+    });
+  }
+}
+
+// Export class
+window.ImplementationQueue = ImplementationQueue;
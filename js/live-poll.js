@@ -0,0 +1,303 @@
+/**
+ * Live Poll - Presenter side of the audience polls
+ * Opens and closes the polls from the data file through the poll relay, from the
+ * presenter mode overlay, and shows the join QR code and a live bar chart of the
+ * votes on the poll's section (chaos or closing)
+ */
+
+class LivePoll {
+  /**
+   * @param {DataManager} dataManager - Source of the polls
+   * @param {Object} options - { relayUrl, onPollOpened(sectionId) }
+   */
+  constructor(dataManager, options = {}) {
+    this.dataManager = dataManager;
+    this.relayUrl = options.relayUrl || 'ws://localhost:8090';
+    this.onPollOpened = options.onPollOpened || null;
+    this.client = null;
+    this.polls = [];
+    this.pendingPoll = null; // opened before the relay connected
+
+    // Latest state from the relay
+    this.state = {
+      poll: null,
+      open: false,
+      results: null,
+      joinUrl: null
+    };
+
+    // DOM elements
+    this.panel = null;
+    this.select = null;
+    this.openButton = null;
+    this.closeButton = null;
+    this.statusText = null;
+
+    // Bind methods
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStatusChange = this.handleStatusChange.bind(this);
+  }
+
+  /**
+   * Initialize the presenter controls and the results panel
+   */
+  init() {
+    this.polls = this.dataManager.getPolls();
+
+    this.select = document.getElementById('poll-select');
+    this.openButton = document.getElementById('poll-open-btn');
+    this.closeButton = document.getElementById('poll-close-btn');
+    this.statusText = document.getElementById('poll-status');
+
+    if (this.select) {
+      this.select.innerHTML = this.polls.map(poll => `
+        <option value="${window.TextUtils.escapeHTML(poll.id)}">${window.TextUtils.escapeHTML(poll.question)}</option>
+      `).join('');
+    }
+
+    if (this.openButton) {
+      this.openButton.addEventListener('click', () => this.openPoll());
+    }
+
+    if (this.closeButton) {
+      this.closeButton.addEventListener('click', () => this.closePoll());
+    }
+
+    this.panel = document.createElement('aside');
+    this.panel.className = 'live-poll';
+    this.panel.hidden = true;
+    this.panel.setAttribute('aria-live', 'polite');
+
+    this.updateControls();
+  }
+
+  /**
+   * Connect to the relay as the presenter
+   */
+  connect() {
+    if (!window.PollClient) return;
+
+    if (!this.client) {
+      this.client = new window.PollClient(`${this.relayUrl}/ws?role=presenter`, {
+        onMessage: this.handleMessage,
+        onStatusChange: this.handleStatusChange
+      });
+    }
+
+    this.client.connect();
+  }
+
+  /**
+   * Open the poll picked in the presenter controls and show its section
+   */
+  openPoll() {
+    const poll = this.polls.find(candidate => candidate.id === this.select?.value);
+    if (!poll) return;
+
+    this.pendingPoll = poll;
+    this.connect();
+    this.sendPendingPoll();
+
+    if (this.onPollOpened) {
+      this.onPollOpened(poll.section);
+    }
+  }
+
+  /**
+   * Send a poll the presenter opened once the relay is connected
+   */
+  sendPendingPoll() {
+    if (!this.pendingPoll || !this.client?.isConnected()) return;
+
+    const { id, question, options } = this.pendingPoll;
+    if (this.client.send({ type: 'open', poll: { id, question, options } })) {
+      this.pendingPoll = null;
+    }
+  }
+
+  /**
+   * Stop voting; the final results stay on screen
+   */
+  closePoll() {
+    this.pendingPoll = null;
+
+    if (this.client) {
+      this.client.send({ type: 'close' });
+    }
+  }
+
+  /**
+   * Handle a message from the relay
+   * @param {Object} message - state, results or error message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'state':
+        this.state = {
+          poll: message.poll,
+          open: message.open,
+          results: message.results,
+          joinUrl: message.joinUrl
+        };
+        this.render();
+        break;
+      case 'results':
+        if (this.state.poll?.id === message.pollId) {
+          this.state.results = message;
+          this.renderChart();
+        }
+        break;
+      case 'error':
+        console.warn('Poll relay:', message.message);
+        break;
+    }
+  }
+
+  /**
+   * Handle relay connection status change
+   * @param {string} status - offline, connecting, connected or refused
+   */
+  handleStatusChange(status) {
+    const labels = {
+      offline: 'Relay offline, retrying',
+      connecting: 'Connecting to relay...',
+      connected: 'Relay connected',
+      refused: 'Relay refused the presenter; open the presentation on the relay machine'
+    };
+
+    if (this.statusText) {
+      this.statusText.textContent = labels[status] || status;
+      this.statusText.className = `poll-status ${status}`;
+    }
+
+    if (status === 'connected') {
+      this.sendPendingPoll();
+    }
+
+    this.updateControls();
+  }
+
+  /**
+   * Enable the buttons that apply right now
+   */
+  updateControls() {
+    if (this.openButton) {
+      this.openButton.disabled = this.polls.length === 0;
+    }
+
+    if (this.closeButton) {
+      this.closeButton.disabled = !this.state.open || !this.client?.isConnected();
+    }
+  }
+
+  /**
+   * Section a poll is shown on
+   * @param {string} pollId - Poll ID
+   * @returns {string} Section ID
+   */
+  getSection(pollId) {
+    return this.polls.find(poll => poll.id === pollId)?.section || 'chaos';
+  }
+
+  /**
+   * Show the current poll on its section: question, how to join while voting is open, and results
+   */
+  render() {
+    const { poll, open, joinUrl } = this.state;
+    this.updateControls();
+
+    if (!poll) {
+      this.panel.hidden = true;
+      return;
+    }
+
+    const container = document.querySelector(`#section-${this.getSection(poll.id)} .section-content`);
+    if (container && this.panel.parentElement !== container) {
+      container.appendChild(this.panel);
+    }
+
+    this.panel.hidden = false;
+    this.panel.classList.toggle('closed', !open);
+    this.panel.innerHTML = `
+      <h3 class="live-poll-question">${window.TextUtils.escapeHTML(poll.question)}</h3>
+      ${open ? `
+        <div class="live-poll-join">
+          <div class="live-poll-qr"></div>
+          <p>Scan to vote, or open<br><strong>${window.TextUtils.escapeHTML(joinUrl)}</strong></p>
+        </div>
+      ` : '<p class="live-poll-closed">Voting closed</p>'}
+      <div class="live-poll-chart"></div>
+      <p class="live-poll-total"></p>
+    `;
+
+    if (open) {
+      this.renderQRCode(this.panel.querySelector('.live-poll-qr'), joinUrl);
+    }
+
+    this.renderChart();
+  }
+
+  /**
+   * Draw the QR code for the join URL; without the QR library only the URL is shown
+   * @param {HTMLElement} container - Element to draw into
+   * @param {string} url - Join URL
+   */
+  renderQRCode(container, url) {
+    if (!window.QRCode || !container || !url) return;
+
+    new window.QRCode(container, {
+      text: url,
+      width: 144,
+      height: 144,
+      correctLevel: window.QRCode.CorrectLevel.M
+    });
+  }
+
+  /**
+   * Redraw the bar chart of votes per answer, in the poll's order
+   */
+  renderChart() {
+    const { poll, results } = this.state;
+    const chart = this.panel.querySelector('.live-poll-chart');
+    const totalText = this.panel.querySelector('.live-poll-total');
+    if (!poll || !chart) return;
+
+    const counts = results?.counts || {};
+    const total = results?.total || 0;
+    const max = Math.max(1, ...poll.options.map(option => counts[option.id] || 0));
+
+    const barHeight = 24;
+    const rowHeight = barHeight + 8;
+    const labelWidth = 240;
+    const valueWidth = 80;
+    const width = 640;
+    const plotWidth = width - labelWidth - valueWidth;
+    const height = poll.options.length * rowHeight;
+
+    const bars = poll.options.map((option, index) => {
+      const count = counts[option.id] || 0;
+      const y = index * rowHeight + 4;
+      const barWidth = (count / max) * plotWidth;
+      const share = total ? Math.round((count / total) * 100) : 0;
+
+      return `
+        <text x="${labelWidth - 8}" y="${y + barHeight / 2 + 5}" text-anchor="end" class="live-poll-label">${window.TextUtils.escapeHTML(window.TextUtils.truncate(option.label, 32))}</text>
+        <rect x="${labelWidth}" y="${y}" width="${barWidth.toFixed(1)}" height="${barHeight}" class="live-poll-bar"></rect>
+        <text x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + barHeight / 2 + 5}" class="live-poll-value">${count} (${share}%)</text>
+      `;
+    }).join('');
+
+    chart.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${window.TextUtils.escapeHTML(`Votes: ${poll.options.map(option => `${option.label} ${counts[option.id] || 0}`).join(', ')}`)}">
+        ${bars}
+      </svg>
+    `;
+
+    if (totalText) {
+      totalText.textContent = `${total} vote${total === 1 ? '' : 's'}`;
+    }
+  }
+}
+
+// Export class
+window.LivePoll = LivePoll;
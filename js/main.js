@@ -9,8 +9,12 @@ class ACEPresentation {
     this.currentSection = 'chaos';
     this.presentationTimer = null;
     this.startTime = null;
+    this.sectionStartTime = null;
+    this.overrunSection = null;
     this.demoMode = false;
     this.presenterMode = false;
+    this.devMode = new URLSearchParams(window.location.search).has('dev') ||
+      localStorage.getItem('ace-dev-mode') === 'true';
     
     // Component instances
     this.dataManager = window.dataManager;
@@ -21,6 +25,22 @@ class ACEPresentation {
     this.demoController = null;
     this.pdfExporter = null;
     this.presentationController = null;
+    this.cameraEditor = null;
+    this.exploreControls = null;
+    this.perfHud = null;
+    this.binderFiling = null;
+    this.implementationQueue = null;
+    this.queuePanel = null;
+    this.presenterSync = null;
+    this.presenterWindow = null;
+    this.outbox = null;
+    this.outboxRetryTimer = null;
+    this.feedbackStorageKey = 'ace-presentation-feedback'; // fallback when the outbox is unavailable
+    this.analytics = null;
+    this.livePoll = null;
+    this.swRegistration = null;
+    this.sectionThumbnails = {};
+    this.modelLoadTimeout = 10000;
     
     // DOM elements
     this.loadingScreen = null;
@@ -66,6 +86,21 @@ class ACEPresentation {
       // Start presentation
       this.startPresentation();
       
+      // Pick up where the last session's implementation queue left off
+      await this.restoreImplementationQueue();
+      
+      // Record what the audience opens and how long it holds their attention
+      if (this.analytics) {
+        this.analytics.init(this.currentSection);
+      }
+      
+      // Surface data problems before presenting
+      if (this.devMode) {
+        this.showValidationOverlay();
+        this.setupCameraEditor();
+        this.setupPerfHud();
+      }
+      
       this.isInitialized = true;
       console.log('ACE Presentation initialized successfully');
       
@@ -95,6 +130,7 @@ class ACEPresentation {
     // Initialize Three.js scene
     if (this.threeScene) {
       this.threeScene.init();
+      await this.loadSceneModels();
     }
     
     // Initialize other components when they're available
@@ -108,6 +144,37 @@ class ACEPresentation {
       this.modalSystem.init();
     }
     
+    if (window.BinderFiling) {
+      this.binderFiling = new window.BinderFiling(this.dataManager);
+    }
+    
+    if (window.ImplementationQueue) {
+      this.implementationQueue = new window.ImplementationQueue();
+    }
+    
+    if (window.OfflineOutbox) {
+      this.outbox = new window.OfflineOutbox();
+    }
+    
+    if (window.AnalyticsTracker && this.outbox) {
+      this.analytics = new window.AnalyticsTracker(this.outbox, {
+        deck: this.dataManager.getCurrentDeck()?.id,
+        onQueued: () => this.requestOutboxDelivery()
+      });
+    }
+    
+    if (window.LivePoll) {
+      this.livePoll = new window.LivePoll(this.dataManager, {
+        relayUrl: new URLSearchParams(window.location.search).get('relay'),
+        onPollOpened: (sectionId) => {
+          if (sectionId !== this.currentSection) {
+            this.navigateToSection(sectionId);
+          }
+        }
+      });
+      this.livePoll.init();
+    }
+    
     if (window.AnimationController) {
       this.animationController = new window.AnimationController();
       this.animationController.init();
@@ -153,6 +220,12 @@ class ACEPresentation {
     // Navigation buttons
     this.setupNavigationListeners();
     
+    // Presenter window sync
+    this.setupPresenterSync();
+    
+    // Feedback delivery
+    this.setupOutbox();
+    
     // Window events
     window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
     
@@ -163,6 +236,8 @@ class ACEPresentation {
    * Setup navigation button listeners
    */
   setupNavigationListeners() {
+    this.setupDeckPicker();
+    
     const skipMenuBtn = document.getElementById('skip-menu-btn');
     const demoModeBtn = document.getElementById('demo-mode-btn');
     const presenterModeBtn = document.getElementById('presenter-mode-btn');
@@ -179,6 +254,43 @@ class ACEPresentation {
       presenterModeBtn.addEventListener('click', this.togglePresenterMode.bind(this));
     }
     
+    const presenterWindowBtn = document.getElementById('presenter-window-btn');
+    if (presenterWindowBtn) {
+      presenterWindowBtn.addEventListener('click', this.openPresenterWindow.bind(this));
+    }
+    
+    const exploreBtn = document.getElementById('explore-btn');
+    if (exploreBtn) {
+      this.setupExploreControls(exploreBtn);
+    }
+    
+    const queueBtn = document.getElementById('queue-btn');
+    if (queueBtn) {
+      this.setupQueuePanel(queueBtn);
+    }
+    
+    const rehearsalBtn = document.getElementById('rehearsal-btn');
+    const rehearsalReportBtn = document.getElementById('rehearsal-report-btn');
+    
+    if (rehearsalBtn) {
+      rehearsalBtn.addEventListener('click', this.toggleRehearsal.bind(this));
+    }
+    
+    if (rehearsalReportBtn) {
+      rehearsalReportBtn.addEventListener('click', this.showRehearsalReport.bind(this));
+    }
+    
+    window.addEventListener('startRehearsal', () => {
+      if (!this.presentationController?.isRehearsing()) {
+        this.toggleRehearsal();
+      }
+    });
+    
+    window.addEventListener('clearRehearsals', async () => {
+      await this.presentationController?.clearRehearsals();
+      this.showToast('Rehearsal history cleared', 'info');
+    });
+    
     // Skip menu items
     const skipItems = document.querySelectorAll('.skip-item');
     skipItems.forEach(item => {
@@ -203,6 +315,11 @@ class ACEPresentation {
       exportPdfBtn.addEventListener('click', this.handleExportPdf.bind(this));
     }
     
+    const feedbackBtn = document.getElementById('feedback-btn');
+    if (feedbackBtn) {
+      feedbackBtn.addEventListener('click', this.showFeedbackForm.bind(this));
+    }
+    
     // ACE Way overlay
     const aceWayClose = document.getElementById('ace-way-close');
     if (aceWayClose) {
@@ -222,6 +339,29 @@ class ACEPresentation {
     }
   }
 
+  /**
+   * Setup deck picker - only shown when the manifest lists more than one deck
+   */
+  setupDeckPicker() {
+    const picker = document.getElementById('deck-picker');
+    const decks = this.dataManager.getDecks();
+    const currentDeck = this.dataManager.getCurrentDeck();
+    
+    if (!picker || decks.length < 2) return;
+    
+    picker.innerHTML = decks.map(deck => `
+      <option value="${window.TextUtils.escapeHTML(deck.id)}" ${currentDeck && deck.id === currentDeck.id ? 'selected' : ''}>${window.TextUtils.escapeHTML(deck.title || deck.name)}</option>
+    `).join('');
+    picker.hidden = false;
+    
+    picker.addEventListener('change', (e) => {
+      // Reload so the 3D scene and all sections are rebuilt from the new deck
+      const url = new URL(window.location.href);
+      url.searchParams.set('deck', e.target.value);
+      window.location.href = url.toString();
+    });
+  }
+
   /**
    * Setup DOM references
    */
@@ -242,6 +382,38 @@ class ACEPresentation {
     console.log('DOM references setup');
   }
 
+  /**
+   * Load 3D models, reporting progress on the loading screen.
+   * Gives up waiting after modelLoadTimeout so a slow network can't hold the deck;
+   * models that arrive later still replace their placeholders.
+   */
+  async loadSceneModels() {
+    const progressBar = document.getElementById('loading-progress-bar');
+    const status = document.getElementById('loading-status');
+    
+    if (status) {
+      status.textContent = 'Loading 3D models...';
+    }
+    
+    const loading = this.threeScene.loadModels(({ loaded, total, progress }) => {
+      if (progressBar) {
+        progressBar.style.width = `${Math.round(progress * 100)}%`;
+      }
+      if (status && total) {
+        status.textContent = `Loading 3D models (${loaded}/${total})`;
+      }
+    });
+    
+    const timeout = new Promise(resolve => {
+      setTimeout(() => resolve(null), this.modelLoadTimeout);
+    });
+    
+    const results = await Promise.race([loading, timeout]);
+    if (!results) {
+      console.warn('Model loading is slow, continuing with placeholders');
+    }
+  }
+
   /**
    * Hide loading screen and show app
    */
@@ -266,6 +438,7 @@ class ACEPresentation {
    */
   startPresentation() {
     this.startTime = Date.now();
+    this.sectionStartTime = this.startTime;
     this.updatePresentationTimer();
     
     // Show initial section
@@ -343,7 +516,7 @@ class ACEPresentation {
     
     const binder = document.getElementById('operations-binder');
     if (binder) {
-      binder.addEventListener('click', this.handleBinderClick.bind(this));
+      binder.addEventListener('click', this.openBinder.bind(this));
     }
     
     // Setup binder tabs
@@ -382,13 +555,99 @@ class ACEPresentation {
    * Initialize closing section
    */
   initializeClosingSection() {
-    // Content is mostly static, just ensure CTA buttons are working
+    // Name the pilot site after the current deck
+    const deck = this.dataManager.getCurrentDeck();
+    if (deck) {
+      document.querySelectorAll('.pilot-site-name').forEach(el => {
+        el.textContent = deck.name;
+      });
+    }
+    
     const launchBtn = document.getElementById('launch-pilot-btn');
     const exportBtn = document.getElementById('export-pdf-btn');
     
     if (launchBtn) {
       launchBtn.classList.add('pulse-animation');
     }
+    
+    this.renderSurveyForm();
+  }
+
+  /**
+   * Add the data file's survey questions to the feedback form
+   */
+  renderSurveyForm() {
+    const container = document.getElementById('feedback-survey');
+    if (!container) return;
+    
+    const { sectionRatings, resonatedProblem, pilotApproval } = this.dataManager.getSurvey();
+    const escape = window.TextUtils.escapeHTML;
+    const scale = (name, min, max) => {
+      const options = [];
+      for (let value = min; value <= max; value++) {
+        options.push(`<label><input type="radio" name="${escape(name)}" value="${value}"><span>${value}</span></label>`);
+      }
+      return options.join('');
+    };
+    
+    container.innerHTML = `
+      ${sectionRatings ? `
+        <fieldset class="survey-question">
+          <legend>${escape(sectionRatings.question)}</legend>
+          ${sectionRatings.sections.map(section => `
+            <div class="survey-rating" role="radiogroup" aria-label="${escape(section.title)}">
+              <span class="survey-rating-label">${escape(section.title)}</span>
+              <span class="survey-scale">${scale(`rating-${section.id}`, 1, 5)}</span>
+            </div>
+          `).join('')}
+        </fieldset>
+      ` : ''}
+      ${resonatedProblem ? `
+        <div class="form-group">
+          <label for="survey-problem">${escape(resonatedProblem.question)}</label>
+          <select id="survey-problem" name="resonatedProblem">
+            <option value="">Select a problem</option>
+            ${resonatedProblem.problems.map(problem => `<option value="${escape(problem.id)}">${escape(problem.title)}</option>`).join('')}
+          </select>
+        </div>
+      ` : ''}
+      ${pilotApproval ? `
+        <fieldset class="survey-question">
+          <legend>${escape(pilotApproval.question)}</legend>
+          <div class="survey-scale survey-approval" role="radiogroup" aria-label="${escape(pilotApproval.question)}">
+            ${scale('pilotApproval', pilotApproval.min, pilotApproval.max)}
+          </div>
+          <div class="survey-scale-labels">
+            <span>${escape(pilotApproval.minLabel)}</span>
+            <span>${escape(pilotApproval.maxLabel)}</span>
+          </div>
+        </fieldset>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Read the survey answers from the feedback form
+   * @param {FormData} formData - Submitted form data
+   * @returns {Object|null} { ratings, resonatedProblem, pilotApproval }, null when there's no survey
+   */
+  getSurveyAnswers(formData) {
+    const survey = this.dataManager.getSurvey();
+    if (!survey.sectionRatings && !survey.resonatedProblem && !survey.pilotApproval) return null;
+    
+    const number = name => (formData.get(name) ? Number(formData.get(name)) : null);
+    const ratings = {};
+    survey.sectionRatings?.sections.forEach(section => {
+      const rating = number(`rating-${section.id}`);
+      if (rating !== null) ratings[section.id] = rating;
+    });
+    
+    return {
+      ratings,
+      resonatedProblem: formData.get('resonatedProblem') || null,
+      pilotApproval: number('pilotApproval'),
+      pilotApprovalScale: survey.pilotApproval ? [survey.pilotApproval.min, survey.pilotApproval.max] : null
+    };
   }
 
   /**
@@ -469,6 +728,14 @@ class ACEPresentation {
     
     if (!slider || !valueDisplay) return;
     
+    // Investment range comes from the data file
+    const config = this.dataManager.getROISimulator();
+    slider.min = config.minInvestment;
+    slider.max = config.maxInvestment;
+    slider.step = config.step;
+    slider.value = config.baseInvestment;
+    valueDisplay.textContent = Number(config.baseInvestment).toLocaleString();
+    
     slider.addEventListener('input', (e) => {
       const value = parseInt(e.target.value);
       valueDisplay.textContent = value.toLocaleString();
@@ -477,8 +744,115 @@ class ACEPresentation {
       this.updateROICalculations(value);
     });
     
+    // Fires when the audience lets go of the slider, not while demonstrateROI animates it
+    slider.addEventListener('change', (e) => {
+      if (this.analytics) {
+        this.analytics.trackROIAdjustment(parseInt(e.target.value));
+      }
+    });
+    
+    this.setupROIBaselineInputs();
+    this.setupROIProjectionInputs();
+    this.setupSensitivityControls();
+    
     // Initialize with default value
-    this.updateROICalculations(slider.value);
+    this.updateROICalculations(parseInt(slider.value));
+  }
+
+  /**
+   * Build one number input per ROI baseline so the model can be tuned live
+   */
+  setupROIBaselineInputs() {
+    const container = document.querySelector('.roi-baselines');
+    const slider = document.getElementById('training-investment');
+    if (!container) return;
+    
+    const baselines = this.dataManager.getROIBaselines();
+    const values = this.dataManager.getROIBaselineValues();
+    
+    // Percent baselines are stored as fractions but edited as whole percentages
+    const scale = (baseline) => baseline.unit === 'percent' ? 100 : 1;
+    const prefix = (baseline) => baseline.unit === 'currency' ? '$' : '';
+    const suffix = (baseline) => baseline.unit === 'percent' ? '%' : '';
+    
+    container.innerHTML = `
+      ${Object.entries(baselines).map(([key, baseline]) => `
+        <label class="roi-baseline">
+          <span class="roi-baseline-label">${baseline.label}</span>
+          <span class="roi-baseline-input">
+            ${prefix(baseline)}<input type="number" data-baseline="${key}"
+              value="${+(values[key] * scale(baseline)).toFixed(2)}"
+              ${baseline.min !== undefined ? `min="${baseline.min * scale(baseline)}"` : ''}
+              ${baseline.max !== undefined ? `max="${baseline.max * scale(baseline)}"` : ''}
+              step="${(baseline.step || 1) * scale(baseline)}">${suffix(baseline)}
+          </span>
+        </label>
+      `).join('')}
+      <button type="button" class="roi-baselines-reset">Reset baselines</button>
+    `;
+    
+    container.querySelectorAll('input[data-baseline]').forEach(input => {
+      input.addEventListener('input', (e) => {
+        const key = e.target.dataset.baseline;
+        const value = parseFloat(e.target.value);
+        if (Number.isNaN(value)) return;
+        
+        this.dataManager.setROIBaseline(key, value / scale(baselines[key]));
+        this.updateROICalculations(parseInt(slider.value));
+      });
+      
+      // Show the clamped value once the presenter leaves the field, not while typing
+      input.addEventListener('change', (e) => {
+        const key = e.target.dataset.baseline;
+        const value = this.dataManager.getROIBaselineValues()[key];
+        e.target.value = +(value * scale(baselines[key])).toFixed(2);
+      });
+    });
+    
+    container.querySelector('.roi-baselines-reset').addEventListener('click', () => {
+      this.dataManager.resetROIBaselines();
+      this.setupROIBaselineInputs();
+      this.updateROICalculations(parseInt(slider.value));
+    });
+  }
+
+  /**
+   * Build the projection horizon and discount rate inputs
+   */
+  setupROIProjectionInputs() {
+    const container = document.querySelector('.roi-projection-controls');
+    const slider = document.getElementById('training-investment');
+    if (!container) return;
+    
+    const projection = this.dataManager.getROIProjection();
+    
+    container.innerHTML = `
+      <label class="roi-baseline">
+        <span class="roi-baseline-label">Projection Horizon</span>
+        <select data-projection="years">
+          ${[3, 4, 5].map(years => `
+            <option value="${years}" ${years === projection.years ? 'selected' : ''}>${years} years</option>
+          `).join('')}
+        </select>
+      </label>
+      <label class="roi-baseline">
+        <span class="roi-baseline-label">Discount Rate</span>
+        <span class="roi-baseline-input">
+          <input type="number" data-projection="discountRate" min="0" max="50" step="0.5"
+            value="${+(projection.discountRate * 100).toFixed(2)}">%
+        </span>
+      </label>
+    `;
+    
+    container.querySelectorAll('[data-projection]').forEach(input => {
+      input.addEventListener('input', (e) => {
+        const key = e.target.dataset.projection;
+        const value = parseFloat(e.target.value);
+        
+        this.dataManager.setROIProjection(key, key === 'discountRate' ? value / 100 : value);
+        this.updateROICalculations(parseInt(slider.value));
+      });
+    });
   }
 
   /**
@@ -487,10 +861,26 @@ class ACEPresentation {
    */
   updateROICalculations(investment) {
     const roiData = this.dataManager.calculateROI(investment);
+    const projection = roiData.projection;
+    const scenarioResults = this.dataManager.getROIScenarios().map(scenario => {
+      return this.dataManager.calculateROI(investment, undefined, scenario.id);
+    });
     const chartContainer = document.querySelector('.roi-chart');
     
     if (chartContainer) {
       chartContainer.innerHTML = `
+        <div class="roi-scenarios" role="radiogroup" aria-label="ROI scenarios">
+          ${scenarioResults.map(result => `
+            <button type="button" class="roi-scenario-card ${result.scenario.id === roiData.scenario.id ? 'selected' : ''}"
+              role="radio" aria-checked="${result.scenario.id === roiData.scenario.id}"
+              data-scenario="${result.scenario.id}">
+              <span class="roi-scenario-name">${result.scenario.name}</span>
+              <span class="roi-scenario-metric">$${result.totalSavings.toLocaleString()}/yr</span>
+              <span class="roi-scenario-metric">ROI ${result.roiPercentage}%</span>
+              <span class="roi-scenario-metric">NPV $${result.projection.npv.toLocaleString()}</span>
+            </button>
+          `).join('')}
+        </div>
         <div class="roi-summary">
           <div class="roi-item">
             <strong>Total Savings:</strong> $${roiData.totalSavings.toLocaleString()}
@@ -502,8 +892,178 @@ class ACEPresentation {
             <strong>Employees Trained:</strong> ${roiData.employeesTrained}
           </div>
         </div>
+        <div class="roi-summary roi-projection-summary">
+          <div class="roi-item">
+            <strong>${projection.years}-yr NPV:</strong> $${projection.npv.toLocaleString()}
+          </div>
+          <div class="roi-item">
+            <strong>IRR:</strong> ${projection.irr === null ? 'n/a' : `${Math.round(projection.irr * 100)}%`}
+          </div>
+          <div class="roi-item">
+            <strong>Payback:</strong> ${projection.paybackMonth ? `Month ${projection.paybackMonth}` : `Beyond ${projection.years} years`}
+          </div>
+        </div>
+        ${this.renderProjectionChart(scenarioResults, roiData.scenario.id)}
       `;
+      
+      chartContainer.querySelectorAll('.roi-scenario-card').forEach(card => {
+        card.addEventListener('click', () => {
+          this.dataManager.selectROIScenario(card.dataset.scenario);
+          this.updateROICalculations(investment);
+        });
+      });
+    }
+    
+    this.updateSensitivityAnalysis(investment);
+  }
+
+  /**
+   * Setup the sensitivity variation picker
+   */
+  setupSensitivityControls() {
+    const select = document.getElementById('sensitivity-variation');
+    const slider = document.getElementById('training-investment');
+    if (!select) return;
+    
+    const variation = this.dataManager.getSensitivityVariation();
+    if (![...select.options].some(option => parseFloat(option.value) === variation)) {
+      select.add(new Option(`±${Math.round(variation * 100)}%`, variation));
     }
+    select.value = String(variation);
+    
+    select.addEventListener('change', () => {
+      this.updateSensitivityAnalysis(parseInt(slider.value));
+    });
+  }
+
+  /**
+   * Update the sensitivity (tornado) chart
+   * @param {number} investment - Investment amount
+   */
+  updateSensitivityAnalysis(investment) {
+    const container = document.querySelector('.roi-tornado');
+    if (!container) return;
+    
+    const select = document.getElementById('sensitivity-variation');
+    const variation = select ? parseFloat(select.value) : undefined;
+    const sensitivity = this.dataManager.calculateSensitivity(investment, variation);
+    
+    container.innerHTML = this.renderTornadoChart(sensitivity);
+  }
+
+  /**
+   * Render a tornado chart of net profit swings as inline SVG
+   * @param {Object} sensitivity - Result of DataManager.calculateSensitivity
+   * @returns {string} SVG markup
+   */
+  renderTornadoChart(sensitivity) {
+    const inputs = sensitivity.inputs.filter(input => input.swing > 0);
+    if (inputs.length === 0) {
+      return '<p class="roi-tornado-empty">No input changes net profit at this investment level.</p>';
+    }
+    
+    const rowHeight = 18;
+    const labelWidth = 140;
+    const width = 320;
+    const height = inputs.length * rowHeight + 20;
+    const center = labelWidth + (width - labelWidth) / 2;
+    const halfWidth = (width - labelWidth) / 2 - 4;
+    const maxDelta = Math.max(...inputs.map(input => Math.max(
+      Math.abs(input.lowNetProfit - sensitivity.baseNetProfit),
+      Math.abs(input.highNetProfit - sensitivity.baseNetProfit)
+    )));
+    const scale = (delta) => (delta / maxDelta) * halfWidth;
+    
+    const bar = (netProfit, y, className) => {
+      const delta = scale(netProfit - sensitivity.baseNetProfit);
+      const x = delta < 0 ? center + delta : center;
+      return `<rect x="${x.toFixed(1)}" y="${y}" width="${Math.abs(delta).toFixed(1)}" height="${rowHeight - 6}" class="${className}">
+        <title>$${netProfit.toLocaleString()}</title>
+      </rect>`;
+    };
+    
+    const rows = inputs.map((input, index) => {
+      const y = index * rowHeight + 4;
+      return `
+        <text x="${labelWidth - 6}" y="${y + rowHeight / 2}" text-anchor="end" class="roi-chart-label">${input.label}</text>
+        ${bar(input.lowNetProfit, y, 'roi-tornado-low')}
+        ${bar(input.highNetProfit, y, 'roi-tornado-high')}
+      `;
+    }).join('');
+    
+    const percent = Math.round(sensitivity.variation * 100);
+    
+    return `
+      <svg class="roi-tornado-chart" viewBox="0 0 ${width} ${height}" role="img"
+        aria-label="Net profit sensitivity to ±${percent}% changes, most influential first: ${inputs.slice(0, 3).map(input => input.label).join(', ')}">
+        ${rows}
+        <line x1="${center}" y1="0" x2="${center}" y2="${height - 16}" class="roi-chart-zero" />
+        <text x="${center}" y="${height - 4}" text-anchor="middle" class="roi-chart-label">
+          Net profit $${sensitivity.baseNetProfit.toLocaleString()} (−${percent}% / +${percent}%)
+        </text>
+      </svg>
+    `;
+  }
+
+  /**
+   * Render the cumulative cash-flow (break-even) chart as inline SVG,
+   * one series per scenario with the selected one emphasized
+   * @param {Array<Object>} scenarioResults - ROI calculation data per scenario
+   * @param {string} selectedId - Selected scenario ID
+   * @returns {string} SVG markup
+   */
+  renderProjectionChart(scenarioResults, selectedId) {
+    const selected = scenarioResults.find(result => result.scenario.id === selectedId) || scenarioResults[0];
+    const { years, paybackMonth } = selected.projection;
+    const width = 320;
+    const height = 140;
+    const pad = { top: 10, right: 10, bottom: 20, left: 10 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    
+    const seriesPoints = scenarioResults.map(result => {
+      return [{ month: 0, cumulative: -result.investment }, ...result.projection.months];
+    });
+    const values = seriesPoints.flat().map(p => p.cumulative);
+    const maxValue = Math.max(0, ...values);
+    const minValue = Math.min(0, ...values);
+    const range = maxValue - minValue || 1;
+    
+    const x = (month) => pad.left + (month / (years * 12)) * plotWidth;
+    const y = (value) => pad.top + ((maxValue - value) / range) * plotHeight;
+    const toLine = (points) => points.map(p => `${x(p.month).toFixed(1)},${y(p.cumulative).toFixed(1)}`).join(' ');
+    
+    const selectedIndex = scenarioResults.indexOf(selected);
+    const selectedLine = toLine(seriesPoints[selectedIndex]);
+    const area = `${x(0)},${y(0)} ${selectedLine} ${x(years * 12)},${y(0)}`;
+    
+    const series = scenarioResults.map((result, index) => `
+      <polyline points="${toLine(seriesPoints[index])}"
+        class="roi-chart-line roi-chart-line-${result.scenario.id} ${index === selectedIndex ? 'selected' : ''}">
+        <title>${result.scenario.name}</title>
+      </polyline>
+    `).join('');
+    
+    const yearTicks = Array.from({ length: years }, (_, i) => i + 1).map(year => `
+      <line x1="${x(year * 12)}" y1="${pad.top}" x2="${x(year * 12)}" y2="${height - pad.bottom}" class="roi-chart-grid" />
+      <text x="${x(year * 12)}" y="${height - 6}" text-anchor="end" class="roi-chart-label">Y${year}</text>
+    `).join('');
+    
+    const paybackMarker = paybackMonth ? `
+      <circle cx="${x(paybackMonth)}" cy="${y(0)}" r="4" class="roi-chart-payback" />
+      <text x="${x(paybackMonth) + 6}" y="${y(0) - 6}" class="roi-chart-label">Break-even: month ${paybackMonth}</text>
+    ` : '';
+    
+    return `
+      <svg class="roi-projection-chart" viewBox="0 0 ${width} ${height}" role="img"
+        aria-label="Cumulative cash flow over ${years} years for ${scenarioResults.length} scenarios${paybackMonth ? `, ${selected.scenario.name} breaks even in month ${paybackMonth}` : ''}">
+        ${yearTicks}
+        <polygon points="${area}" class="roi-chart-area" />
+        <line x1="${pad.left}" y1="${y(0)}" x2="${width - pad.right}" y2="${y(0)}" class="roi-chart-zero" />
+        ${series}
+        ${paybackMarker}
+      </svg>
+    `;
   }
 
   /**
@@ -511,10 +1071,19 @@ class ACEPresentation {
    * @param {Event} e - Keyboard event
    */
   handleKeyboard(e) {
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
       return; // Don't handle if user is typing
     }
     
+    // Explore controls own the arrow keys; Escape leaves explore mode
+    if (this.exploreControls?.enabled) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.toggleExploreMode();
+      }
+      return;
+    }
+    
     switch (e.key) {
       case 'ArrowRight':
       case ' ':
@@ -609,11 +1178,16 @@ class ACEPresentation {
   }
 
   /**
-   * Handle binder click
+   * Handle binder click. The DOM binder asks to open itself;
+   * the 3D binder shows what has been filed so far.
    * @param {Event} e - Binder click event
    */
   handleBinderClick(e) {
-    const { type, message } = e.detail;
+    if (e.detail?.action === 'open') {
+      this.openBinder();
+      return;
+    }
+    
     this.showBinderModal();
   }
 
@@ -641,6 +1215,15 @@ class ACEPresentation {
   handleSolutionImplemented(e) {
     const { problemData, paperMesh } = e.detail;
     
+    // Already filed, e.g. from another copy of its paper
+    if (this.binderFiling?.isFiled(problemData.id)) return;
+    
+    // File the problem under its binder tab
+    const tabId = this.binderFiling?.file(problemData);
+    const slot = tabId ? this.binderFiling.getTabSlot(tabId) : undefined;
+    this.refreshBinderTab();
+    this.queueProblem(problemData);
+    
     // Animate paper to binder in 3D scene
     if (this.threeScene && paperMesh) {
       this.threeScene.animatePaperToBinder(paperMesh, () => {
@@ -652,10 +1235,180 @@ class ACEPresentation {
             paperElement.remove();
           }, 300);
         }
-      });
+      }, slot);
     }
   }
 
+  /**
+   * Current deck's key in the implementation queue
+   * @returns {string} Deck ID
+   */
+  getQueueDeck() {
+    return this.dataManager.getCurrentDeck()?.id || 'default';
+  }
+
+  /**
+   * Add an implemented problem to the saved queue
+   * @param {Object} problemData - Problem data
+   */
+  async queueProblem(problemData) {
+    if (!this.implementationQueue) return;
+    
+    try {
+      const solutions = this.dataManager.getSolutionsByCategory(problemData.category);
+      await this.implementationQueue.add(this.getQueueDeck(), problemData, solutions);
+      await this.refreshQueuePanel();
+    } catch (error) {
+      console.warn('Failed to save implementation queue:', error);
+    }
+  }
+
+  /**
+   * File the saved queue's problems so the desk starts where the last session left it
+   */
+  async restoreImplementationQueue() {
+    if (!this.implementationQueue) return;
+    
+    let items = [];
+    try {
+      items = await this.implementationQueue.getItems(this.getQueueDeck());
+    } catch (error) {
+      console.warn('Failed to load implementation queue:', error);
+      return;
+    }
+    
+    // Problems removed from the data file since they were queued are skipped
+    const problems = items
+      .map(item => this.dataManager.getProblem(item.problemId))
+      .filter(Boolean);
+    
+    this.binderFiling?.restore(problems);
+    problems.forEach(problem => {
+      const tabId = this.binderFiling?.getTabForProblem(problem);
+      this.threeScene?.fileProblem(problem.id, tabId ? this.binderFiling.getTabSlot(tabId) : undefined);
+      document.querySelector(`.chaos-paper[data-problem-id="${problem.id}"]`)?.remove();
+    });
+    
+    this.refreshBinderTab();
+    this.renderQueue(items);
+  }
+
+  /**
+   * Create the queue panel
+   * @param {HTMLElement} queueBtn - Queue button
+   */
+  setupQueuePanel(queueBtn) {
+    if (!window.QueuePanel || !this.implementationQueue) {
+      queueBtn.hidden = true;
+      return;
+    }
+    
+    this.queuePanel = new window.QueuePanel({
+      onMove: (problemId, offset) => this.moveQueuedProblem(problemId, offset),
+      onRemove: (problemId) => this.removeQueuedProblem(problemId),
+      onExport: (format) => this.exportImplementationQueue(format)
+    });
+    this.queuePanel.init();
+    
+    queueBtn.addEventListener('click', () => {
+      queueBtn.setAttribute('aria-pressed', String(this.queuePanel.toggle()));
+    });
+    window.addEventListener('queuePanelClosed', () => {
+      queueBtn.setAttribute('aria-pressed', 'false');
+    });
+  }
+
+  /**
+   * Redraw the queue panel from the saved queue
+   * @returns {Promise<Array<Object>>} Queue entries
+   */
+  async refreshQueuePanel() {
+    if (!this.implementationQueue) return [];
+    
+    const items = await this.implementationQueue.getItems(this.getQueueDeck());
+    this.renderQueue(items);
+    return items;
+  }
+
+  /**
+   * Show queue entries in the panel and their count on the queue button
+   * @param {Array<Object>} items - Queue entries
+   */
+  renderQueue(items) {
+    this.queuePanel?.render(items);
+    
+    const queueBtn = document.getElementById('queue-btn');
+    if (queueBtn) {
+      queueBtn.textContent = items.length ? `Queue (${items.length})` : 'Queue';
+    }
+  }
+
+  /**
+   * Move a queued problem up or down. The binder's running totals follow the new order.
+   * @param {string} problemId - Problem ID
+   * @param {number} offset - -1 for up, 1 for down
+   */
+  async moveQueuedProblem(problemId, offset) {
+    try {
+      const ids = (await this.implementationQueue.getItems(this.getQueueDeck())).map(item => item.problemId);
+      const from = ids.indexOf(problemId);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= ids.length) return;
+      
+      ids.splice(to, 0, ids.splice(from, 1)[0]);
+      await this.implementationQueue.reorder(this.getQueueDeck(), ids);
+      
+      this.binderFiling?.restore(ids.map(id => this.dataManager.getProblem(id)).filter(Boolean));
+      this.threeScene?.restackBinder(ids);
+      this.refreshBinderTab();
+      await this.refreshQueuePanel();
+    } catch (error) {
+      console.warn('Failed to reorder implementation queue:', error);
+      this.showToast('Could not reorder the queue', 'error');
+    }
+  }
+
+  /**
+   * Take a problem out of the queue and put its paper back on the desk
+   * @param {string} problemId - Problem ID
+   */
+  async removeQueuedProblem(problemId) {
+    try {
+      await this.implementationQueue.remove(this.getQueueDeck(), problemId);
+    } catch (error) {
+      console.warn('Failed to update implementation queue:', error);
+      this.showToast('Could not remove from the queue', 'error');
+      return;
+    }
+    
+    this.binderFiling?.unfile(problemId);
+    this.threeScene?.unfileProblem(problemId);
+    this.refreshBinderTab();
+    
+    const problem = this.dataManager.getProblem(problemId);
+    const container = document.querySelector('.chaos-papers-container');
+    if (problem && container && !container.querySelector(`[data-problem-id="${problemId}"]`)) {
+      container.appendChild(this.createPaperElement(problem));
+    }
+    
+    await this.refreshQueuePanel();
+  }
+
+  /**
+   * Download the queue for sharing after the session
+   * @param {string} format - csv or json
+   */
+  async exportImplementationQueue(format = 'csv') {
+    const items = await this.refreshQueuePanel();
+    if (items.length === 0) return;
+    
+    window.TextUtils.download(
+      this.implementationQueue.serialize(items, format),
+      `implementation-queue-${this.getQueueDeck()}.${format}`,
+      format === 'json' ? 'application/json' : 'text/csv'
+    );
+  }
+
   /**
    * Show problem modal
    * @param {Object} problemData - Problem data
@@ -705,33 +1458,21 @@ class ACEPresentation {
   }
 
   /**
-   * Show binder modal
+   * Show binder modal: the problems filed under each tab so far
    */
   showBinderModal() {
-    if (this.modalSystem) {
-      this.modalSystem.showCharacterModal({
-        title: 'Operations Manual',
-        content: 'This is the central operations manual containing all procedures, training materials, and accountability systems. Click to open the full binder in the Manager section.',
-        type: 'binder',
-        primaryButton: {
-          text: 'Open Binder',
-          action: () => {
-            this.navigateToSection('manager');
-            // Open the binder in the manager section
-            const binder = document.getElementById('operations-binder');
-            if (binder) {
-              binder.click();
-            }
-          }
-        },
-        secondaryButton: {
-          text: 'Close',
-          action: () => {
-            this.modalSystem.closeModal();
-          }
-        }
-      });
-    }
+    if (!this.modalSystem || !this.binderFiling) return;
+    
+    const tabs = this.binderFiling.getTabs().map(tab => ({
+      ...tab,
+      filed: this.binderFiling.getFiled(tab.id),
+      total: this.binderFiling.getTabTotal(tab.id)
+    }));
+    
+    this.modalSystem.showBinderModal(tabs, this.binderFiling.getTotal(), () => {
+      this.navigateToSection('manager');
+      this.openBinder();
+    });
   }
 
   /**
@@ -751,7 +1492,13 @@ class ACEPresentation {
   navigateToSection(sectionId) {
     if (this.currentSection === sectionId) return;
     
+    // The section's camera move takes over from free exploration
+    if (this.exploreControls?.enabled) {
+      this.toggleExploreMode();
+    }
+    
     this.currentSection = sectionId;
+    this.sectionStartTime = Date.now();
     this.showSection(sectionId);
     
     // Update 3D scene
@@ -767,6 +1514,10 @@ class ACEPresentation {
       detail: { sectionId, previousSection: this.currentSection }
     });
     window.dispatchEvent(event);
+    
+    // Keep the presenter window in step
+    this.broadcastPresenterState();
+    this.captureSectionThumbnail(sectionId);
   }
 
   /**
@@ -865,6 +1616,50 @@ class ACEPresentation {
     }
   }
 
+  /**
+   * Create the free-explore controls, hiding the button when the scene has no 3D camera
+   * @param {HTMLElement} exploreBtn - Explore button
+   */
+  setupExploreControls(exploreBtn) {
+    const director = this.threeScene?.getCameraDirector();
+    const canvas = document.getElementById('three-canvas');
+    
+    if (!director || !canvas || !window.ExploreControls) {
+      exploreBtn.hidden = true;
+      return;
+    }
+    
+    this.exploreControls = new window.ExploreControls(director, canvas);
+    exploreBtn.addEventListener('click', this.toggleExploreMode.bind(this));
+  }
+
+  /**
+   * Toggle free exploration of the 3D scene. Leaving it flies the camera
+   * back to the current section's pose.
+   */
+  toggleExploreMode() {
+    if (!this.exploreControls) return;
+    
+    const exploring = !this.exploreControls.enabled;
+    
+    if (exploring) {
+      this.exploreControls.enable();
+      this.showToast('Drag to orbit, right-drag to pan, scroll or pinch to zoom. Esc returns to the presentation.', 'info');
+    } else {
+      this.exploreControls.disable();
+      this.threeScene.animateCamera(this.currentSection);
+    }
+    
+    document.body.classList.toggle('exploring', exploring);
+    
+    // Update button text
+    const btn = document.getElementById('explore-btn');
+    if (btn) {
+      btn.textContent = exploring ? 'Exit Explore' : 'Explore';
+      btn.setAttribute('aria-pressed', String(exploring));
+    }
+  }
+
   /**
    * Toggle presenter mode
    */
@@ -883,6 +1678,151 @@ class ACEPresentation {
     }
   }
 
+  /**
+   * Start or stop a rehearsal run. Stopping saves the run and shows the report.
+   */
+  async toggleRehearsal() {
+    if (!this.presentationController) return;
+    
+    const btn = document.getElementById('rehearsal-btn');
+    
+    if (this.presentationController.isRehearsing()) {
+      await this.presentationController.stopRehearsal();
+      if (btn) {
+        btn.textContent = 'Rehearse';
+        btn.classList.remove('active');
+      }
+      this.showRehearsalReport();
+    } else {
+      // Each run starts from the top so timings are comparable
+      this.navigateToSection('chaos');
+      this.startTime = Date.now();
+      this.sectionStartTime = this.startTime;
+      this.presentationController.startRehearsal();
+      if (btn) {
+        btn.textContent = 'Stop Rehearsal';
+        btn.classList.add('active');
+      }
+      this.showToast('Rehearsal started - section timings are being recorded', 'info');
+    }
+  }
+
+  /**
+   * Show the rehearsal report
+   */
+  async showRehearsalReport() {
+    if (!this.presentationController || !this.modalSystem) return;
+    
+    const report = await this.presentationController.getRehearsalReport();
+    this.modalSystem.showRehearsalReportModal(report);
+  }
+
+  /**
+   * Setup sync with the dual-screen presenter window
+   */
+  setupPresenterSync() {
+    if (!window.PresenterSync) return;
+    
+    this.presenterSync = new window.PresenterSync('audience');
+    this.presenterSync.connect();
+    
+    this.presenterSync.on('requestState', () => {
+      this.broadcastPresenterState();
+    });
+    
+    this.presenterSync.on('navigate', (message) => {
+      if (message.sectionId) {
+        this.navigateToSection(message.sectionId);
+      } else if (message.direction === 'next') {
+        this.nextSection();
+      } else if (message.direction === 'previous') {
+        this.previousSection();
+      }
+    });
+    
+    this.presenterSync.on('presenterClosed', () => {
+      this.presenterWindow = null;
+    });
+    
+    // Thumbnail of the opening section for when the presenter starts on it
+    this.captureSectionThumbnail(this.currentSection);
+  }
+
+  /**
+   * Open (or focus) the presenter window
+   */
+  openPresenterWindow() {
+    if (this.presenterWindow && !this.presenterWindow.closed) {
+      this.presenterWindow.focus();
+      return;
+    }
+    
+    this.presenterWindow = window.open('presenter.html', 'ace-presenter', 'width=1024,height=640');
+    if (!this.presenterWindow) {
+      this.showToast('Allow pop-ups to open the presenter window', 'error');
+      return;
+    }
+    
+    if (this.presenterSync) {
+      this.presenterSync.setPeerWindow(this.presenterWindow);
+    }
+  }
+
+  /**
+   * Build the state shown in the presenter window
+   * @returns {Object} Presenter state
+   */
+  getPresenterState() {
+    const sections = this.presentationController?.sectionOrder || ['chaos', 'valet', 'manager', 'executive', 'closing'];
+    const steps = this.presentationController ? this.presentationController.getFlowSteps() : [];
+    const sectionIndex = sections.indexOf(this.currentSection);
+    const nextSectionId = sections[sectionIndex + 1] || null;
+    
+    const describeSection = (sectionId) => {
+      const section = this.dataManager.getSection(sectionId);
+      return section ? { id: section.id, title: section.title, presenterCue: section.presenterCue || '' } : { id: sectionId, title: sectionId };
+    };
+    const findStep = (sectionId) => steps.find(step => step.section === sectionId) || null;
+    
+    return {
+      sectionIndex,
+      sectionCount: sections.length,
+      section: describeSection(this.currentSection),
+      step: findStep(this.currentSection),
+      nextSection: nextSectionId ? describeSection(nextSectionId) : null,
+      nextStep: nextSectionId ? findStep(nextSectionId) : null,
+      nextThumbnail: nextSectionId ? this.sectionThumbnails[nextSectionId] || null : null,
+      startTime: this.startTime
+    };
+  }
+
+  /**
+   * Send the current state to the presenter window
+   */
+  broadcastPresenterState() {
+    if (this.presenterSync) {
+      this.presenterSync.send('state', this.getPresenterState());
+    }
+  }
+
+  /**
+   * Capture a thumbnail of a section once the camera has settled,
+   * so the presenter window can preview it next time round
+   * @param {string} sectionId - Section ID
+   */
+  captureSectionThumbnail(sectionId) {
+    if (!this.threeScene || typeof this.threeScene.captureThumbnail !== 'function') return;
+    
+    setTimeout(() => {
+      if (this.currentSection !== sectionId) return;
+      
+      const thumbnail = this.threeScene.captureThumbnail();
+      if (thumbnail) {
+        this.sectionThumbnails[sectionId] = thumbnail;
+      }
+    }, 1200);
+  }
+
   /**
    * Update presenter notes
    * @param {string} sectionId - Section ID
@@ -899,9 +1839,9 @@ class ACEPresentation {
   }
 
   /**
-   * Handle binder click
+   * Open the binder in the manager section
    */
-  handleBinderClick() {
+  openBinder() {
     const binder = document.getElementById('operations-binder');
     const binderContent = binder.querySelector('.binder-content');
     
@@ -933,11 +1873,43 @@ class ACEPresentation {
           <ul>
             ${initiative.items.map(item => `<li>${item}</li>`).join('')}
           </ul>
+          ${this.renderFiledProblems(tabId)}
         `;
       }
     }
   }
 
+  /**
+   * Redraw the open binder tab, e.g. after a paper is filed under it
+   */
+  refreshBinderTab() {
+    const activeTab = document.querySelector('.binder-tab.active');
+    if (activeTab) {
+      this.showBinderTab(activeTab.dataset.tab);
+    }
+  }
+
+  /**
+   * List the problems filed under a binder tab with running savings
+   * @param {string} tabId - Tab ID
+   * @returns {string} HTML, empty when nothing is filed
+   */
+  renderFiledProblems(tabId) {
+    const filed = this.binderFiling?.getFiled(tabId) || [];
+    if (filed.length === 0) return '';
+    
+    return `
+      <div class="binder-filed">
+        <h5>Filed problems</h5>
+        <ol>
+          ${filed.map(({ problem, savings, runningTotal }) => `
+            <li>${problem.title} <span>$${savings.toLocaleString()} (running total $${runningTotal.toLocaleString()})</span></li>
+          `).join('')}
+        </ol>
+      </div>
+    `;
+  }
+
   /**
    * Handle launch pilot button
    */
@@ -973,25 +1945,44 @@ class ACEPresentation {
    * Handle feedback form submission
    * @param {Event} e - Form event
    */
-  handleFeedbackSubmit(e) {
+  async handleFeedbackSubmit(e) {
     e.preventDefault();
     
-    const formData = new FormData(e.target);
+    const form = e.target;
+    const formData = new FormData(form);
     const feedback = {
       name: formData.get('name'),
       role: formData.get('role'),
       comments: formData.get('comments'),
+      survey: this.getSurveyAnswers(formData),
+      deck: this.dataManager.getCurrentDeck()?.id || 'default',
       timestamp: new Date().toISOString()
     };
     
-    // Store feedback locally
-    this.storeFeedback(feedback);
+    // Keep the form filled in when the feedback could not be saved anywhere
+    if (!await this.storeFeedback(feedback)) {
+      this.showToast('Could not save your feedback, please try again', 'error');
+      return;
+    }
     
     // Show success message
     this.showFeedbackSuccess();
     
-    // Hide form
+    // Hide form, ready for the next person
     this.hideFeedbackForm();
+    form.reset();
+  }
+
+  /**
+   * Show feedback form
+   */
+  showFeedbackForm() {
+    const form = document.getElementById('feedback-form');
+    if (form) {
+      form.classList.add('active');
+      form.setAttribute('aria-hidden', 'false');
+      form.querySelector('input, select, textarea')?.focus();
+    }
   }
 
   /**
@@ -1006,19 +1997,128 @@ class ACEPresentation {
   }
 
   /**
-   * Store feedback locally
+   * Queue feedback in the outbox for delivery to /api/feedback. Without a working
+   * outbox (no IndexedDB, or it is blocked) the feedback is kept in localStorage,
+   * which migrateStoredFeedback moves into the outbox once it works again.
    * @param {Object} feedback - Feedback data
+   * @returns {Promise<boolean>} Whether the feedback was saved
    */
-  storeFeedback(feedback) {
+  async storeFeedback(feedback) {
+    if (this.outbox) {
+      try {
+        await this.outbox.enqueue('feedback', feedback);
+        this.requestOutboxDelivery();
+        return true;
+      } catch (error) {
+        console.warn('Failed to queue feedback, keeping it in localStorage:', error);
+      }
+    }
+    
     try {
-      const existingFeedback = JSON.parse(localStorage.getItem('ace-presentation-feedback') || '[]');
-      existingFeedback.push(feedback);
-      localStorage.setItem('ace-presentation-feedback', JSON.stringify(existingFeedback));
+      const storedFeedback = JSON.parse(localStorage.getItem(this.feedbackStorageKey) || '[]');
+      storedFeedback.push(feedback);
+      localStorage.setItem(this.feedbackStorageKey, JSON.stringify(storedFeedback));
+      return true;
     } catch (error) {
       console.warn('Failed to store feedback:', error);
+      return false;
     }
   }
 
+  /**
+   * Register the service worker, deliver anything left in the outbox
+   * and retry whenever the connection comes back
+   */
+  async setupOutbox() {
+    if (!this.outbox) return;
+    
+    window.addEventListener('online', () => this.requestOutboxDelivery());
+    
+    if ('serviceWorker' in navigator && window.location.protocol !== 'file:') {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data?.type === 'OUTBOX_STATUS') {
+          this.scheduleOutboxRetry(e.data.status);
+        }
+      });
+      
+      try {
+        this.swRegistration = await navigator.serviceWorker.register('sw.js');
+      } catch (error) {
+        console.warn('Service worker registration failed:', error);
+      }
+    }
+    
+    await this.migrateStoredFeedback();
+    this.requestOutboxDelivery();
+  }
+
+  /**
+   * Move feedback kept in localStorage (by earlier versions, or while the outbox
+   * was unavailable) into the outbox. Whatever fails to move stays for next time.
+   */
+  async migrateStoredFeedback() {
+    let storedFeedback = [];
+    try {
+      storedFeedback = JSON.parse(localStorage.getItem(this.feedbackStorageKey) || '[]');
+    } catch (error) {
+      console.warn('Failed to read stored feedback:', error);
+      return;
+    }
+    
+    while (storedFeedback.length > 0) {
+      try {
+        await this.outbox.enqueue('feedback', storedFeedback[0]);
+      } catch (error) {
+        console.warn('Failed to migrate stored feedback:', error);
+        break;
+      }
+      
+      storedFeedback.shift();
+      if (storedFeedback.length > 0) {
+        localStorage.setItem(this.feedbackStorageKey, JSON.stringify(storedFeedback));
+      } else {
+        localStorage.removeItem(this.feedbackStorageKey);
+      }
+    }
+  }
+
+  /**
+   * Hand the outbox to background sync, or deliver it from the page when
+   * the browser has no background sync
+   */
+  async requestOutboxDelivery() {
+    if (!this.outbox) return;
+    
+    try {
+      if (this.swRegistration?.sync) {
+        await this.swRegistration.sync.register(this.outbox.syncTag);
+        return;
+      }
+    } catch (error) {
+      console.warn('Background sync registration failed:', error);
+    }
+    
+    try {
+      this.scheduleOutboxRetry(await this.outbox.flush());
+    } catch (error) {
+      console.warn('Failed to deliver outbox:', error);
+    }
+  }
+
+  /**
+   * While the page is open, try again when the next pending item is due
+   * @param {Object} status - Outbox status from OfflineOutbox.getStatus
+   */
+  scheduleOutboxRetry(status) {
+    clearTimeout(this.outboxRetryTimer);
+    this.outboxRetryTimer = null;
+    
+    if (!status?.pending || !status.nextAttemptAt) return;
+    
+    const delay = Math.max(0, status.nextAttemptAt - Date.now());
+    this.outboxRetryTimer = setTimeout(() => this.requestOutboxDelivery(), delay);
+  }
+
   /**
    * Show feedback success message
    */
@@ -1048,6 +2148,32 @@ class ACEPresentation {
     }, 3000);
   }
 
+  /**
+   * Show a toast notification
+   * @param {string} message - Message text
+   * @param {string} type - success, info or error
+   */
+  showToast(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast-notification ${type}`;
+    toast.innerHTML = `
+      <div class="toast-content">
+        ${message}
+      </div>
+    `;
+    
+    document.body.appendChild(toast);
+    
+    setTimeout(() => {
+      toast.classList.add('show');
+    }, 100);
+    
+    setTimeout(() => {
+      toast.classList.remove('show');
+      setTimeout(() => toast.remove(), 300);
+    }, 3000);
+  }
+
   /**
    * Close all modals
    */
@@ -1081,6 +2207,105 @@ class ACEPresentation {
     const seconds = Math.floor((elapsed % 60000) / 1000);
     
     this.presentationTimer.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    
+    this.updatePacing();
+  }
+
+  /**
+   * Work out time left in the current section and whether we're ahead of or
+   * behind the schedule set by the flow step durations. The labels are formatted
+   * here so the presenter window shows exactly what the overlay shows.
+   * @returns {Object|null} Pacing, or null when the section has no budget
+   */
+  getPacing() {
+    const steps = this.presentationController ? this.presentationController.getFlowSteps() : [];
+    const stepIndex = steps.findIndex(step => step.section === this.currentSection);
+    if (!this.startTime || stepIndex === -1 || !steps[stepIndex].duration) return null;
+    
+    const now = Date.now();
+    const budget = steps[stepIndex].duration;
+    const budgetBefore = steps.slice(0, stepIndex).reduce((total, step) => total + step.duration, 0);
+    const sectionElapsed = now - this.sectionStartTime;
+    const remaining = budget - sectionElapsed;
+    
+    // Late start of this section plus any overrun so far; positive means behind
+    const scheduleDelta = (this.sectionStartTime - this.startTime - budgetBefore) + Math.max(0, -remaining);
+    
+    let status = 'on-track';
+    if (remaining < 0) {
+      status = 'overrun';
+    } else if (remaining < budget * 0.25) {
+      status = 'warning';
+    }
+    
+    return {
+      sectionId: this.currentSection,
+      budget,
+      sectionElapsed,
+      remaining,
+      scheduleDelta,
+      status,
+      totalElapsed: now - this.startTime,
+      totalBudget: steps.reduce((total, step) => total + step.duration, 0),
+      budgetLabel: `${window.TextUtils.formatDuration(remaining)} left in section`,
+      paceLabel: this.describeScheduleDelta(scheduleDelta)
+    };
+  }
+
+  /**
+   * Update the section budget and ahead/behind indicator
+   */
+  updatePacing() {
+    const pacing = this.getPacing();
+    const budgetEl = document.getElementById('section-budget');
+    const paceEl = document.getElementById('pace-indicator');
+    
+    if (budgetEl) {
+      budgetEl.textContent = pacing ? pacing.budgetLabel : '';
+      budgetEl.className = `section-budget ${pacing ? pacing.status : ''}`;
+    }
+    
+    if (paceEl) {
+      paceEl.textContent = pacing ? pacing.paceLabel : '';
+      paceEl.className = `pace-indicator ${pacing && pacing.scheduleDelta > 0 ? 'behind' : 'ahead'}`;
+    }
+    
+    if (pacing && pacing.status === 'overrun' && this.overrunSection !== pacing.sectionId) {
+      this.overrunSection = pacing.sectionId;
+      this.signalOverrun();
+    }
+    
+    if (this.presenterSync && pacing) {
+      this.presenterSync.send('pacing', pacing);
+    }
+  }
+
+  /**
+   * Cue the presenter that the section has run over its budget
+   */
+  signalOverrun() {
+    if (!this.presenterMode) return;
+    
+    if (navigator.vibrate) {
+      navigator.vibrate([200, 100, 200]);
+    }
+    
+    if (this.presenterOverlay) {
+      this.presenterOverlay.classList.add('overrun-flash');
+      setTimeout(() => {
+        this.presenterOverlay.classList.remove('overrun-flash');
+      }, 1500);
+    }
+  }
+
+  /**
+   * Describe how far ahead or behind schedule the talk is
+   * @param {number} delta - Milliseconds behind (positive) or ahead (negative)
+   * @returns {string} Description
+   */
+  describeScheduleDelta(delta) {
+    if (Math.abs(delta) < 5000) return 'On schedule';
+    return `${window.TextUtils.formatDuration(Math.abs(delta))} ${delta > 0 ? 'behind' : 'ahead'}`;
   }
 
   /**
@@ -1109,6 +2334,65 @@ class ACEPresentation {
     }
   }
 
+  /**
+   * Show dev overlay listing data validation errors
+   */
+  showValidationOverlay() {
+    const errors = this.dataManager.getValidationErrors();
+    if (errors.length === 0) return;
+    
+    let overlay = document.getElementById('validation-overlay');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'validation-overlay';
+      overlay.className = 'validation-overlay';
+      overlay.setAttribute('role', 'alert');
+      document.body.appendChild(overlay);
+    }
+    
+    // Paths and messages quote the data file, so escape them
+    overlay.innerHTML = `
+      <div class="validation-header">
+        <strong>${window.TextUtils.escapeHTML(this.dataManager.getCurrentDeck()?.file || 'Presentation data')}: ${errors.length} validation error(s)</strong>
+        <button class="validation-close" aria-label="Dismiss validation errors">&times;</button>
+      </div>
+      <ul class="validation-list">
+        ${errors.map(error => `
+          <li class="validation-item ${error.action}">
+            <code>${window.TextUtils.escapeHTML(error.path)}</code> ${window.TextUtils.escapeHTML(error.message)}
+            <span class="validation-action">${error.action}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+    
+    overlay.querySelector('.validation-close').addEventListener('click', () => {
+      overlay.remove();
+    });
+  }
+
+  /**
+   * Open the camera path editor (dev mode only)
+   */
+  setupCameraEditor() {
+    if (!window.CameraEditor) return;
+    
+    this.cameraEditor = new window.CameraEditor(this.threeScene);
+    this.cameraEditor.sectionId = this.currentSection;
+    this.cameraEditor.init();
+  }
+
+  /**
+   * Show frame rate and render quality (dev mode only)
+   */
+  setupPerfHud() {
+    const renderLoop = this.threeScene?.getRenderLoop();
+    if (!renderLoop || !window.PerfHud) return;
+    
+    this.perfHud = new window.PerfHud(renderLoop);
+    this.perfHud.init();
+  }
+
   /**
    * Handle before unload
    */
@@ -1168,6 +2452,14 @@ const toastCSS = `
     opacity: 1;
   }
   
+  .toast-notification.error {
+    background: #e74c3c;
+  }
+  
+  .toast-notification.info {
+    background: #3498db;
+  }
+  
   .toast-content {
     font-size: 14px;
   }
@@ -301,7 +301,7 @@ class ModalSystem {
     const roiContent = `
       <div class="roi-summary-details">
         <div class="roi-overview">
-          <h4>Investment Summary</h4>
+          <h4>Investment Summary${roiData.scenario ? ` (${roiData.scenario.name})` : ''}</h4>
           <div class="roi-metrics">
             <div class="roi-metric">
               <span class="metric-label">Total Investment:</span>
@@ -420,6 +420,110 @@ class ModalSystem {
     this.showModal();
   }
 
+  /**
+   * Show rehearsal report modal
+   * @param {Object} report - Report from PresentationController.getRehearsalReport
+   */
+  showRehearsalReportModal(report) {
+    this.currentModal = {
+      type: 'rehearsal',
+      data: report
+    };
+    
+    if (this.modalTitle) {
+      this.modalTitle.textContent = 'Rehearsal Report';
+    }
+    
+    const format = (ms) => {
+      if (ms === null) return '-';
+      const totalSeconds = Math.round(ms / 1000);
+      return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+    };
+    const cell = (ms, target) => `
+      <td class="${ms !== null && ms > target ? 'over' : ''}">${format(ms)}</td>
+    `;
+    
+    const overrunning = report.steps.filter(step => step.alwaysOverruns);
+    
+    const rehearsalContent = report.runCount === 0 ? `
+      <p>No rehearsals recorded yet. Start one from the navigation bar and walk through the talk.</p>
+    ` : `
+      <div class="rehearsal-report">
+        <p>${report.runCount} run(s) recorded. Times over target are highlighted.</p>
+        ${overrunning.length ? `
+          <div class="rehearsal-warning" role="alert">
+            <strong>Always over time:</strong> ${overrunning.map(step => step.title).join(', ')}
+          </div>
+        ` : ''}
+        <table class="rehearsal-table">
+          <thead>
+            <tr>
+              <th scope="col">Section</th>
+              <th scope="col">Target</th>
+              <th scope="col">Last</th>
+              <th scope="col">Average</th>
+              <th scope="col">Best</th>
+              <th scope="col">Overruns</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${report.steps.map(step => `
+              <tr class="${step.alwaysOverruns ? 'always-over' : ''}">
+                <th scope="row">${step.title}</th>
+                <td>${format(step.target)}</td>
+                ${cell(step.last, step.target)}
+                ${cell(step.average, step.target)}
+                ${cell(step.best, step.target)}
+                <td>${step.overruns}/${step.runs}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th scope="row">Total</th>
+              <td>${format(report.total.target)}</td>
+              ${cell(report.total.last, report.total.target)}
+              ${cell(report.total.average, report.total.target)}
+              ${cell(report.total.best, report.total.target)}
+              <td>${report.total.overruns}/${report.total.runs}</td>
+            </tr>
+          </tfoot>
+        </table>
+        <button type="button" class="rehearsal-clear">Clear rehearsal history</button>
+      </div>
+    `;
+    
+    if (this.modalBody) {
+      this.modalBody.innerHTML = rehearsalContent;
+      
+      const clearBtn = this.modalBody.querySelector('.rehearsal-clear');
+      if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+          window.dispatchEvent(new CustomEvent('clearRehearsals'));
+          this.hideModal();
+        });
+      }
+    }
+    
+    // Hide problem-specific sections
+    if (this.problemSection) this.problemSection.style.display = 'none';
+    if (this.impactSection) this.impactSection.style.display = 'none';
+    if (this.solutionSection) this.solutionSection.style.display = 'none';
+    
+    // Update buttons
+    if (this.primaryButton) {
+      this.primaryButton.textContent = 'Rehearse Again';
+      this.primaryButton.style.display = 'inline-block';
+    }
+    
+    if (this.secondaryButton) {
+      this.secondaryButton.textContent = 'Close';
+      this.secondaryButton.style.display = 'inline-block';
+    }
+    
+    this.showModal();
+  }
+
   /**
    * Show generic modal
    * @param {Object} options - Modal options
@@ -452,6 +556,79 @@ class ModalSystem {
     window.dispatchEvent(event);
   }
 
+  /**
+   * Show binder modal
+   * @param {Array<Object>} tabs - { id, title, filed, total } per binder tab, from BinderFiling
+   * @param {number} total - Savings filed across all tabs
+   * @param {Function} onOpenBinder - Opens the binder in the manager section
+   */
+  showBinderModal(tabs, total, onOpenBinder) {
+    this.currentModal = {
+      type: 'binder',
+      data: { tabs, total, onOpenBinder }
+    };
+    
+    if (this.modalTitle) {
+      this.modalTitle.textContent = 'Operations Manual';
+    }
+    
+    const money = (value) => `$${value.toLocaleString()}`;
+    
+    const binderContent = `
+      <div class="binder-summary">
+        <p>Implemented solutions are filed under the tab for their category.</p>
+        ${tabs.map(tab => `
+          <section class="binder-summary-tab">
+            <h4>${window.TextUtils.escapeHTML(tab.title)} <span>${money(tab.total)}</span></h4>
+            ${tab.filed.length ? `
+              <table class="binder-summary-table">
+                <thead>
+                  <tr>
+                    <th scope="col">Problem</th>
+                    <th scope="col">Savings</th>
+                    <th scope="col">Running total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${tab.filed.map(({ problem, savings, runningTotal }) => `
+                    <tr>
+                      <th scope="row">${window.TextUtils.escapeHTML(problem.title)}</th>
+                      <td>${money(savings)}</td>
+                      <td>${money(runningTotal)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            ` : '<p class="binder-summary-empty">Nothing filed yet.</p>'}
+          </section>
+        `).join('')}
+        <p class="binder-summary-total"><strong>Total savings filed: ${money(total)}</strong></p>
+      </div>
+    `;
+    
+    if (this.modalBody) {
+      this.modalBody.innerHTML = binderContent;
+    }
+    
+    // Hide problem-specific sections
+    if (this.problemSection) this.problemSection.style.display = 'none';
+    if (this.impactSection) this.impactSection.style.display = 'none';
+    if (this.solutionSection) this.solutionSection.style.display = 'none';
+    
+    // Update buttons
+    if (this.primaryButton) {
+      this.primaryButton.textContent = 'Open Binder';
+      this.primaryButton.style.display = 'inline-block';
+    }
+    
+    if (this.secondaryButton) {
+      this.secondaryButton.textContent = 'Close';
+      this.secondaryButton.style.display = 'inline-block';
+    }
+    
+    this.showModal();
+  }
+
   /**
    * Hide modal
    */
@@ -532,6 +709,13 @@ class ModalSystem {
       case 'character':
         this.handleCharacterPrimaryAction();
         break;
+      case 'rehearsal':
+        this.hideModal();
+        window.dispatchEvent(new CustomEvent('startRehearsal'));
+        break;
+      case 'binder':
+        this.handleOpenBinder();
+        break;
     }
   }
 
@@ -557,6 +741,12 @@ class ModalSystem {
       case 'character':
         this.handleCharacterSecondaryAction();
         break;
+      case 'rehearsal':
+        this.hideModal();
+        break;
+      case 'binder':
+        this.hideModal();
+        break;
     }
   }
 
@@ -612,6 +802,18 @@ class ModalSystem {
     this.hideModal();
   }
 
+  /**
+   * Handle open binder
+   */
+  handleOpenBinder() {
+    const { onOpenBinder } = this.currentModal.data;
+    this.hideModal();
+    
+    if (onOpenBinder) {
+      onOpenBinder();
+    }
+  }
+
   /**
    * Handle view report
    */
@@ -712,12 +914,13 @@ class ModalSystem {
    * Show pilot approval confirmation
    */
   showPilotApprovalConfirmation() {
+    const siteName = window.dataManager.getCurrentDeck()?.name || window.dataManager.getPilotInfo().location;
     const toast = document.createElement('div');
     toast.className = 'toast-notification success';
     toast.innerHTML = `
       <div class="toast-content">
         <strong>Pilot Approved!</strong><br>
-        Implementation will begin at Marriott Marquis within 2 weeks.
+        Implementation will begin at ${siteName} within 2 weeks.
       </div>
     `;
     
@@ -0,0 +1,227 @@
+/**
+ * Offline Outbox - IndexedDB queue of POSTs waiting to reach the server
+ * Shared by the page and the service worker (sw.js loads it with importScripts), so both
+ * read and write the same items. Each item keeps its delivery status: pending items are
+ * retried with exponential backoff until delivered, rejected by the server, or out of attempts.
+ */
+
+class OfflineOutbox {
+  constructor() {
+    this.store = new self.IdbStore({
+      dbName: 'ace-presentation-outbox',
+      storeName: 'items',
+      autoIncrement: true,
+      indexes: ['status', 'type']
+    });
+
+    // Background sync tag the page registers and sw.js listens for
+    this.syncTag = 'outbox-sync';
+
+    this.endpoints = {
+      feedback: '/api/feedback',
+      analytics: '/api/analytics'
+    };
+
+    // Retry timing
+    this.baseDelay = 5000; // ms before the first retry, doubled after each failure
+    this.maxDelay = 10 * 60 * 1000; // ms
+    this.maxAttempts = 8;
+    this.claimTimeout = 30000; // ms an item stays claimed by one sender
+  }
+
+  /**
+   * Queue a payload for delivery
+   * @param {string} type - feedback or analytics
+   * @param {Object} payload - JSON body to POST
+   * @param {string} endpoint - URL to POST to; defaults to the type's endpoint
+   * @returns {Promise<Object>} Stored item
+   */
+  async enqueue(type, payload, endpoint = this.endpoints[type]) {
+    if (!endpoint) {
+      throw new Error(`No outbox endpoint for "${type}"`);
+    }
+
+    const now = Date.now();
+    const item = {
+      key: this.createKey(), // sent as Idempotency-Key so retries can't be counted twice
+      type,
+      endpoint,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      claimedUntil: 0,
+      lastAttemptAt: null,
+      lastError: null,
+      deliveredAt: null
+    };
+
+    item.id = await this.store.request('readwrite', store => store.add(item));
+    return item;
+  }
+
+  /**
+   * Get queued items, oldest first
+   * @param {string} type - Only items of this type; all types when omitted
+   * @returns {Promise<Array<Object>>} Items
+   */
+  async getItems(type) {
+    const items = await this.store.request('readonly', store =>
+      (type ? store.index('type').getAll(type) : store.getAll())
+    );
+    return items.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Count items by delivery status
+   * @returns {Promise<Object>} { pending, delivered, failed, nextAttemptAt }
+   */
+  async getStatus() {
+    const items = await this.getItems();
+    const pending = items.filter(item => item.status === 'pending');
+
+    return {
+      pending: pending.length,
+      delivered: items.filter(item => item.status === 'delivered').length,
+      failed: items.filter(item => item.status === 'failed').length,
+      nextAttemptAt: pending.length ? Math.min(...pending.map(item => item.nextAttemptAt)) : null
+    };
+  }
+
+  /**
+   * Try to deliver every pending item that is due
+   * @returns {Promise<Object>} Status after the attempt, as from getStatus
+   */
+  async flush() {
+    const items = await this.claimDue(Date.now());
+
+    // One at a time keeps delivery in queue order
+    for (const item of items) {
+      await this.deliver(item);
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Mark due items as being sent, so the page and the service worker don't both send them
+   * @param {number} now - Current time
+   * @returns {Promise<Array<Object>>} Claimed items, oldest first
+   */
+  async claimDue(now) {
+    const claimed = [];
+
+    await this.store.request('readwrite', store => {
+      const request = store.index('status').openCursor('pending');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const item = cursor.value;
+        if (item.nextAttemptAt <= now && item.claimedUntil <= now) {
+          item.claimedUntil = now + this.claimTimeout;
+          cursor.update(item);
+          claimed.push(item);
+        }
+        cursor.continue();
+      };
+      return request;
+    });
+
+    return claimed.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * POST one item and record the outcome
+   * @param {Object} item - Claimed item
+   * @returns {Promise<Object>} Updated item
+   */
+  async deliver(item) {
+    const now = Date.now();
+    const updated = { ...item, attempts: item.attempts + 1, lastAttemptAt: now, claimedUntil: 0 };
+
+    try {
+      const response = await fetch(item.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': item.key
+        },
+        body: JSON.stringify(item.payload)
+      });
+
+      if (response.ok) {
+        updated.status = 'delivered';
+        updated.deliveredAt = Date.now();
+        updated.lastError = null;
+      } else {
+        // Other client errors won't go away by sending the same request again
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        this.recordFailure(updated, `HTTP ${response.status}`, retryable);
+      }
+    } catch (error) {
+      this.recordFailure(updated, error.message || 'Network error', true);
+    }
+
+    await this.store.request('readwrite', store => store.put(updated));
+    return updated;
+  }
+
+  /**
+   * Schedule the next retry, or give up on the item
+   * @param {Object} item - Item being updated
+   * @param {string} message - What went wrong
+   * @param {boolean} retryable - Whether another attempt could succeed
+   */
+  recordFailure(item, message, retryable) {
+    item.lastError = message;
+
+    if (!retryable || item.attempts >= this.maxAttempts) {
+      item.status = 'failed';
+      return;
+    }
+
+    item.nextAttemptAt = item.lastAttemptAt + this.getBackoff(item.attempts);
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  getBackoff(attempts) {
+    return Math.min(this.maxDelay, this.baseDelay * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * Put failed items back in the queue for another round of attempts
+   * @returns {Promise<number>} Number of items requeued
+   */
+  async retryFailed() {
+    const failed = (await this.getItems()).filter(item => item.status === 'failed');
+    const now = Date.now();
+
+    await this.store.request('readwrite', store => {
+      let request = null;
+      failed.forEach(item => {
+        request = store.put({ ...item, status: 'pending', attempts: 0, nextAttemptAt: now, claimedUntil: 0 });
+      });
+      return request || store.count();
+    });
+
+    return failed.length;
+  }
+
+  /**
+   * Unique key for an item
+   * @returns {string} Key
+   */
+  createKey() {
+    if (self.crypto?.randomUUID) return self.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+}
+
+// Export class (self is window on the page and the global scope in the service worker)
+self.OfflineOutbox = OfflineOutbox;
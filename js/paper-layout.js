@@ -0,0 +1,284 @@
+/**
+ * Paper Layout - Deterministic placement of problem papers on the desk
+ * Papers are grouped into a column block per category, with the highest-priority
+ * papers in the front rows. The same data and seed always give the same layout.
+ */
+
+class PaperLayout {
+  /**
+   * @param {Object} options - Layout options
+   * @param {number} options.deskWidth - Desk width (x axis) in scene units
+   * @param {number} options.deskDepth - Desk depth (z axis) in scene units
+   * @param {number} options.paperWidth - Paper width in scene units
+   * @param {number} options.paperDepth - Paper depth in scene units
+   * @param {number} options.margin - Clear border around the desk edge
+   * @param {number} options.maxRotation - Largest rotation either way, in radians
+   * @param {number|null} options.seed - Random seed; defaults to a hash of the problem IDs
+   * @param {Function} options.getScale - Footprint multiplier per problem (e.g. by severity)
+   */
+  constructor(options = {}) {
+    this.deskWidth = options.deskWidth ?? 8;
+    this.deskDepth = options.deskDepth ?? 6;
+    this.paperWidth = options.paperWidth ?? 0.8;
+    this.paperDepth = options.paperDepth ?? 0.6;
+    this.margin = options.margin ?? 0.4;
+    this.maxRotation = options.maxRotation ?? 0.2;
+    this.seed = options.seed ?? null;
+    this.getScale = options.getScale ?? (() => 1);
+
+    // Left-to-right order of category blocks; unknown categories follow
+    this.categoryOrder = ['training', 'processes', 'accountability'];
+  }
+
+  /**
+   * Lay out papers. Explicit `position` records are honoured; the rest fill the grid.
+   * @param {Array<Object>} problems - Problem record per paper (duplicates allowed)
+   * @returns {Array<Object>} { x, z, rotation, layer } per paper, in input order
+   */
+  layout(problems) {
+    const random = this.createRandom(this.seed ?? this.hashSeed(problems.map(p => p?.id || '').join('|')));
+    const scales = problems.map(problem => this.getScale(problem));
+    const grid = this.createGrid(Math.max(1, ...scales));
+    const placements = new Array(problems.length);
+
+    // Explicit positions first, blocking the cells they cover
+    problems.forEach((problem, index) => {
+      if (!problem?.position) return;
+
+      placements[index] = this.placeExplicit(problem.position, scales[index]);
+      this.blockCells(grid, placements[index], scales[index]);
+    });
+
+    // Remaining papers by category block, then priority
+    const pending = problems
+      .map((problem, index) => ({ problem, index }))
+      .filter(({ index }) => !placements[index]);
+
+    const byCategory = this.groupByCategory(pending);
+    const columns = this.allocateColumns(byCategory, grid.columns);
+
+    let firstColumn = 0;
+    byCategory.forEach(({ items }, blockIndex) => {
+      const blockColumns = columns[blockIndex];
+      const cells = grid.cells.filter(cell =>
+        cell.column >= firstColumn && cell.column < firstColumn + blockColumns && !cell.blocked
+      );
+      firstColumn += blockColumns;
+
+      // Once the block is full, later (lower-priority) papers go underneath
+      const layers = Math.max(1, Math.ceil(items.length / Math.max(cells.length, 1)));
+
+      items.forEach(({ index }, rank) => {
+        const cell = cells[rank % cells.length] || grid.cells[rank % grid.cells.length];
+        const layer = layers - 1 - Math.floor(rank / Math.max(cells.length, 1));
+        placements[index] = this.placeInCell(cell, grid, layer, random, scales[index]);
+      });
+    });
+
+    return placements;
+  }
+
+  /**
+   * Build the cell grid, sized so the largest paper at maximum rotation fits inside a cell
+   * @param {number} maxScale - Largest paper scale
+   * @returns {Object} { columns, rows, cellWidth, cellDepth, cells }
+   */
+  createGrid(maxScale = 1) {
+    const { width: boxWidth, depth: boxDepth } = this.getRotatedSize(this.maxRotation, maxScale);
+    const usableWidth = this.deskWidth - this.margin * 2;
+    const usableDepth = this.deskDepth - this.margin * 2;
+    const columns = Math.max(1, Math.floor(usableWidth / boxWidth));
+    const rows = Math.max(1, Math.floor(usableDepth / boxDepth));
+    const cellWidth = usableWidth / columns;
+    const cellDepth = usableDepth / rows;
+    const cells = [];
+
+    // Front row (nearest the camera, largest z) first so high priority is most visible
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        cells.push({
+          column,
+          row,
+          x: -usableWidth / 2 + cellWidth * (column + 0.5),
+          z: usableDepth / 2 - cellDepth * (row + 0.5),
+          blocked: false
+        });
+      }
+    }
+
+    return { columns, rows, cellWidth, cellDepth, cells };
+  }
+
+  /**
+   * Group papers by category in categoryOrder, sorted by priority inside each group
+   * @param {Array<Object>} items - { problem, index }
+   * @returns {Array<Object>} { category, items }
+   */
+  groupByCategory(items) {
+    const groups = new Map();
+
+    items.forEach(item => {
+      const category = item.problem?.category || 'uncategorized';
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(item);
+    });
+
+    const rank = (category) => {
+      const position = this.categoryOrder.indexOf(category);
+      return position === -1 ? this.categoryOrder.length : position;
+    };
+
+    return Array.from(groups.entries())
+      .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+      .map(([category, groupItems]) => ({
+        category,
+        items: groupItems.sort((a, b) =>
+          (a.problem?.priority ?? Infinity) - (b.problem?.priority ?? Infinity) || a.index - b.index
+        )
+      }));
+  }
+
+  /**
+   * Share grid columns between category blocks in proportion to their size,
+   * giving every block at least one column while there are columns to give
+   * @param {Array<Object>} groups - Category groups
+   * @param {number} totalColumns - Grid columns
+   * @returns {Array<number>} Columns per group
+   */
+  allocateColumns(groups, totalColumns) {
+    if (groups.length === 0) return [];
+
+    const total = groups.reduce((sum, group) => sum + group.items.length, 0);
+    const columns = groups.map(() => (groups.length <= totalColumns ? 1 : 0));
+    let remaining = totalColumns - columns.reduce((sum, count) => sum + count, 0);
+
+    // Hand out the rest one at a time to the block furthest below its fair share
+    while (remaining > 0) {
+      let neediest = 0;
+      let largestShortfall = -Infinity;
+
+      groups.forEach((group, index) => {
+        const shortfall = (group.items.length / total) * totalColumns - columns[index];
+        if (shortfall > largestShortfall) {
+          largestShortfall = shortfall;
+          neediest = index;
+        }
+      });
+
+      columns[neediest]++;
+      remaining--;
+    }
+
+    return columns;
+  }
+
+  /**
+   * Place a paper in a cell with seeded rotation and jitter that keeps it inside the cell
+   * @param {Object} cell - Grid cell
+   * @param {Object} grid - Grid
+   * @param {number} layer - Stacking layer (0 is on the desk)
+   * @param {Function} random - Seeded random source
+   * @param {number} scale - Paper scale
+   * @returns {Object} Placement
+   */
+  placeInCell(cell, grid, layer, random, scale = 1) {
+    const rotation = (random() * 2 - 1) * this.maxRotation;
+    const { width, depth } = this.getRotatedSize(rotation, scale);
+    const slackX = Math.max(0, (grid.cellWidth - width) / 2);
+    const slackZ = Math.max(0, (grid.cellDepth - depth) / 2);
+
+    return {
+      x: cell.x + (random() * 2 - 1) * slackX,
+      z: cell.z + (random() * 2 - 1) * slackZ,
+      rotation,
+      layer
+    };
+  }
+
+  /**
+   * Convert an explicit position from the data file, clamped to the desk
+   * @param {Object} position - { x, z, rotation } with rotation in degrees
+   * @param {number} scale - Paper scale
+   * @returns {Object} Placement
+   */
+  placeExplicit(position, scale = 1) {
+    const limitX = this.deskWidth / 2 - this.paperWidth * scale / 2;
+    const limitZ = this.deskDepth / 2 - this.paperDepth * scale / 2;
+
+    return {
+      x: Math.max(-limitX, Math.min(limitX, position.x ?? 0)),
+      z: Math.max(-limitZ, Math.min(limitZ, position.z ?? 0)),
+      rotation: (position.rotation ?? 0) * Math.PI / 180,
+      layer: 0
+    };
+  }
+
+  /**
+   * Mark cells an explicitly placed paper overlaps so nothing else lands there
+   * @param {Object} grid - Grid
+   * @param {Object} placement - Explicit placement
+   * @param {number} scale - Paper scale
+   */
+  blockCells(grid, placement, scale = 1) {
+    const { width, depth } = this.getRotatedSize(placement.rotation, scale);
+
+    grid.cells.forEach(cell => {
+      if (Math.abs(cell.x - placement.x) < (grid.cellWidth + width) / 2 &&
+          Math.abs(cell.z - placement.z) < (grid.cellDepth + depth) / 2) {
+        cell.blocked = true;
+      }
+    });
+  }
+
+  /**
+   * Axis-aligned footprint of a paper rotated about the vertical axis
+   * @param {number} rotation - Rotation in radians
+   * @param {number} scale - Paper scale
+   * @returns {Object} { width, depth }
+   */
+  getRotatedSize(rotation, scale = 1) {
+    const cos = Math.abs(Math.cos(rotation));
+    const sin = Math.abs(Math.sin(rotation));
+    const paperWidth = this.paperWidth * scale;
+    const paperDepth = this.paperDepth * scale;
+
+    return {
+      width: paperWidth * cos + paperDepth * sin,
+      depth: paperWidth * sin + paperDepth * cos
+    };
+  }
+
+  /**
+   * Hash a string to a 32-bit seed (FNV-1a)
+   * @param {string} text - Text to hash
+   * @returns {number} Seed
+   */
+  hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a seeded random source (mulberry32)
+   * @param {number} seed - Seed
+   * @returns {Function} Returns numbers in [0, 1)
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+// Export class
+window.PaperLayout = PaperLayout;
@@ -0,0 +1,193 @@
+/**
+ * Paper Severity - Scores how urgent each problem paper should look
+ * Combines financial_impact (log scale, relative to the other papers) with priority,
+ * which drives paper size and pile height, and draws the title card on each paper
+ */
+
+class PaperSeverity {
+  /**
+   * @param {Array<Object>} problems - Problems shown on the desk
+   */
+  constructor(problems = []) {
+    const impacts = problems.map(p => p?.financial_impact).filter(value => value > 0);
+    const priorities = problems.map(p => p?.priority).filter(Number.isFinite);
+
+    this.minImpact = impacts.length ? Math.min(...impacts) : 0;
+    this.maxImpact = impacts.length ? Math.max(...impacts) : 0;
+    this.maxPriority = priorities.length ? Math.max(...priorities) : 1;
+
+    this.impactWeight = 0.6;
+    this.priorityWeight = 0.4;
+    this.maxScaleIncrease = 0.3;
+    this.maxPileSheets = 3;
+
+    this.labels = new Map();
+  }
+
+  /**
+   * Severity from 0 (least urgent) to 1 (most urgent)
+   * @param {Object} problem - Problem record
+   * @returns {number} Severity
+   */
+  score(problem) {
+    if (!problem) return 0;
+
+    let impactScore = 0;
+    const impact = problem.financial_impact;
+    if (impact > 0 && this.maxImpact > this.minImpact) {
+      impactScore = (Math.log(impact) - Math.log(this.minImpact)) /
+        (Math.log(this.maxImpact) - Math.log(this.minImpact));
+    } else if (impact > 0) {
+      impactScore = 1;
+    }
+
+    // Priority 1 is most urgent; papers without a priority get no boost
+    let priorityScore = 0;
+    if (Number.isFinite(problem.priority)) {
+      priorityScore = this.maxPriority > 1 ?
+        1 - (problem.priority - 1) / (this.maxPriority - 1) :
+        1;
+    }
+
+    return this.impactWeight * impactScore + this.priorityWeight * priorityScore;
+  }
+
+  /**
+   * Size multiplier for the paper footprint
+   * @param {Object} problem - Problem record
+   * @returns {number} Scale from 1 to 1 + maxScaleIncrease
+   */
+  getScale(problem) {
+    return 1 + this.score(problem) * this.maxScaleIncrease;
+  }
+
+  /**
+   * Number of extra sheets piled under the paper
+   * @param {Object} problem - Problem record
+   * @returns {number} Sheet count from 0 to maxPileSheets
+   */
+  getPileSheets(problem) {
+    return Math.round(this.score(problem) * this.maxPileSheets);
+  }
+
+  /**
+   * Draw the title card for a paper: priority, wrapped title and cost.
+   * Cached per problem, since the rich scene repeats problems.
+   * @param {Object} problem - Problem record
+   * @param {string} accentColor - CSS color of the paper
+   * @returns {HTMLCanvasElement|null} Label canvas (4:3)
+   */
+  drawLabel(problem, accentColor) {
+    if (!problem) return null;
+    if (this.labels.has(problem.id)) return this.labels.get(problem.id);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 192;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = accentColor;
+    ctx.fillRect(0, 0, canvas.width, 16);
+
+    ctx.fillStyle = '#2c3e50';
+    ctx.textBaseline = 'top';
+
+    if (Number.isFinite(problem.priority)) {
+      ctx.font = 'bold 18px sans-serif';
+      ctx.fillText(`P${problem.priority}`, 14, 26);
+    }
+
+    ctx.font = 'bold 26px sans-serif';
+    this.wrapText(ctx, problem.title, 14, 54, canvas.width - 28, 30, 3);
+
+    if (problem.financial_impact > 0) {
+      ctx.fillStyle = '#e74c3c';
+      ctx.font = 'bold 22px sans-serif';
+      ctx.fillText(`$${problem.financial_impact.toLocaleString()}`, 14, canvas.height - 36);
+    }
+
+    this.labels.set(problem.id, canvas);
+    return canvas;
+  }
+
+  /**
+   * Add the severity pile and title card to a 3D paper mesh.
+   * Both are children of the paper, so they move with it when it is filed.
+   * @param {THREE.Mesh} paperMesh - Paper mesh, already sized by getScale
+   * @param {Object} problem - Problem record
+   * @param {Object} size - { width, height, depth } of the paper geometry
+   * @param {number} sheetSpacing - Vertical gap between piled sheets
+   * @param {string} accentColor - CSS color of the paper
+   * @returns {number} Height of the pile under the paper
+   */
+  decorate(paperMesh, problem, size, sheetSpacing, accentColor) {
+    const sheets = this.getPileSheets(problem);
+
+    if (sheets > 0) {
+      const sheetGeometry = new THREE.BoxGeometry(size.width, size.height, size.depth);
+      const sheetMaterial = new THREE.MeshLambertMaterial({ color: 0xf5f5f5 });
+
+      // Slightly askew sheets so the pile reads as a stack
+      for (let sheet = 1; sheet <= sheets; sheet++) {
+        const sheetMesh = new THREE.Mesh(sheetGeometry, sheetMaterial);
+        sheetMesh.position.set((sheet % 2 ? 1 : -1) * 0.03, -sheet * sheetSpacing, 0);
+        sheetMesh.rotation.y = (sheet % 2 ? -1 : 1) * 0.05 * sheet;
+        sheetMesh.castShadow = true;
+        sheetMesh.userData.isPileSheet = true;
+        paperMesh.add(sheetMesh);
+      }
+    }
+
+    const label = this.drawLabel(problem, accentColor);
+    if (label) {
+      const labelMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(size.width * 0.9, size.depth * 0.9),
+        new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(label) })
+      );
+      labelMesh.rotation.x = -Math.PI / 2;
+      labelMesh.position.y = size.height / 2 + 0.002;
+      paperMesh.add(labelMesh);
+    }
+
+    return sheets * sheetSpacing;
+  }
+
+  /**
+   * Draw text wrapped to a width, ending with an ellipsis if it runs out of lines
+   * @param {CanvasRenderingContext2D} ctx - Context
+   * @param {string} text - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Top of the first line
+   * @param {number} maxWidth - Line width
+   * @param {number} lineHeight - Line spacing
+   * @param {number} maxLines - Maximum lines
+   */
+  wrapText(ctx, text, x, y, maxWidth, lineHeight, maxLines) {
+    const words = String(text || '').split(/\s+/);
+    const lines = [];
+    let line = '';
+
+    words.forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width > maxWidth && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+      lines.length = maxLines;
+      lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\s+\S*$/, '')}…`;
+    }
+
+    lines.forEach((lineText, index) => ctx.fillText(lineText, x, y + index * lineHeight));
+  }
+}
+
+// Export class
+window.PaperSeverity = PaperSeverity;
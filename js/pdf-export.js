@@ -43,11 +43,13 @@ class PDFExporter {
       this.addSavingsBreakdown(doc, roiData);
       this.addImplementationTimeline(doc);
       this.addPilotDetails(doc);
+      this.addProjection(doc, roiData);
       this.addFooter(doc);
 
       // Save PDF
       const fileName = `ACE_ROI_Summary_${new Date().toISOString().split('T')[0]}.pdf`;
       doc.save(fileName);
+      this.dispatchExported('roi-summary', fileName);
 
       // Show success message
       this.showSuccess('ROI summary exported successfully');
@@ -100,7 +102,8 @@ class PDFExporter {
     // Section title
     doc.setFontSize(16);
     doc.setFont('helvetica', 'bold');
-    doc.text('Investment Overview', 20, yPosition);
+    const scenarioLabel = roiData.scenario ? ` (${roiData.scenario.name} Scenario)` : '';
+    doc.text(`Investment Overview${scenarioLabel}`, 20, yPosition);
     yPosition += 10;
     
     // ROI metrics
@@ -307,11 +310,13 @@ class PDFExporter {
       this.addSolutionOverview(doc);
       this.addImplementationPlan(doc);
       this.addROIAnalysis(doc);
+      this.addSensitivityAnalysis(doc);
       this.addAppendices(doc);
 
       // Save PDF
       const fileName = `ACE_Full_Proposal_${new Date().toISOString().split('T')[0]}.pdf`;
       doc.save(fileName);
+      this.dispatchExported('full-proposal', fileName);
 
       this.showSuccess('Full proposal exported successfully');
 
@@ -321,6 +326,17 @@ class PDFExporter {
     }
   }
 
+  /**
+   * Let listeners (analytics) know a PDF was saved
+   * @param {string} report - roi-summary or full-proposal
+   * @param {string} fileName - Saved file name
+   */
+  dispatchExported(report, fileName) {
+    window.dispatchEvent(new CustomEvent('pdfExported', {
+      detail: { report, fileName }
+    }));
+  }
+
   /**
    * Add proposal header
    * @param {Object} doc - jsPDF document
@@ -363,6 +379,7 @@ class PDFExporter {
     doc.setFontSize(12);
     doc.setFont('helvetica', 'normal');
     
+    const siteName = window.dataManager.getCurrentDeck()?.name || window.dataManager.getPilotInfo().location;
     const summary = [
       'Current ACE Parking valet operations face significant systemic challenges that impact operational efficiency, contribute to costs, and affect service consistency.',
       '',
@@ -374,7 +391,7 @@ class PDFExporter {
       '• Improved operational efficiency and service consistency',
       '• Higher employee morale and retention',
       '',
-      'The proposed pilot program at Marriott Marquis will validate the approach and demonstrate measurable ROI before company-wide implementation.'
+      `The proposed pilot program at ${siteName} will validate the approach and demonstrate measurable ROI before company-wide implementation.`
     ];
     
     summary.forEach(line => {
@@ -503,9 +520,140 @@ class PDFExporter {
    * @param {Object} doc - jsPDF document
    */
   addROIAnalysis(doc) {
-    const roiData = window.dataManager.calculateROI(50000);
+    const investment = document.getElementById('training-investment')?.value ||
+      window.dataManager.getROISimulator().baseInvestment;
+    const roiData = window.dataManager.calculateROI(parseInt(investment));
     this.addROIOverview(doc, roiData);
     this.addSavingsBreakdown(doc, roiData);
+    this.addProjection(doc, roiData);
+  }
+
+  /**
+   * Add multi-year projection page
+   * @param {Object} doc - jsPDF document
+   * @param {Object} roiData - ROI data including projection
+   */
+  addProjection(doc, roiData) {
+    const projection = roiData.projection;
+    if (!projection) return;
+    
+    doc.addPage();
+    let yPosition = 30;
+    
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${projection.years}-Year Cash-Flow Projection`, 20, yPosition);
+    yPosition += 12;
+    
+    doc.setFontSize(12);
+    const metrics = [
+      { label: `Net Present Value (${Math.round(projection.discountRate * 1000) / 10}%):`, value: `$${projection.npv.toLocaleString()}` },
+      { label: 'Internal Rate of Return:', value: projection.irr === null ? 'n/a' : `${Math.round(projection.irr * 100)}%` },
+      { label: 'Payback Period:', value: projection.paybackMonth ? `Month ${projection.paybackMonth}` : `Beyond ${projection.years} years` }
+    ];
+    
+    metrics.forEach(metric => {
+      doc.setFont('helvetica', 'normal');
+      doc.text(metric.label, 25, yPosition);
+      doc.setFont('helvetica', 'bold');
+      doc.text(metric.value, 120, yPosition);
+      yPosition += 8;
+    });
+    yPosition += 6;
+    
+    // Annual cash-flow table
+    doc.setFont('helvetica', 'bold');
+    doc.text('Year', 25, yPosition);
+    doc.text('Cash Flow', 70, yPosition);
+    doc.text('Cumulative', 120, yPosition);
+    yPosition += 8;
+    
+    doc.setFont('helvetica', 'normal');
+    doc.text('0', 25, yPosition);
+    doc.text(`-$${roiData.investment.toLocaleString()}`, 70, yPosition);
+    doc.text(`-$${roiData.investment.toLocaleString()}`, 120, yPosition);
+    yPosition += 7;
+    
+    projection.annual.forEach(row => {
+      doc.text(`${row.year}`, 25, yPosition);
+      doc.text(`$${row.cashFlow.toLocaleString()}`, 70, yPosition);
+      doc.text(`${row.cumulative < 0 ? '-' : ''}$${Math.abs(row.cumulative).toLocaleString()}`, 120, yPosition);
+      yPosition += 7;
+    });
+    
+    yPosition += 6;
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    const note = doc.splitTextToSize(
+      'Savings ramp up with the pilot phases before reaching the full annual rate. The investment is made up front (year 0).',
+      170
+    );
+    doc.text(note, 20, yPosition);
+    doc.setTextColor(0);
+  }
+
+  /**
+   * Add sensitivity analysis page with a tornado chart
+   * @param {Object} doc - jsPDF document
+   */
+  addSensitivityAnalysis(doc) {
+    const investment = parseInt(document.getElementById('training-investment')?.value ||
+      window.dataManager.getROISimulator().baseInvestment);
+    const variation = parseFloat(document.getElementById('sensitivity-variation')?.value) || undefined;
+    const sensitivity = window.dataManager.calculateSensitivity(investment, variation);
+    const inputs = sensitivity.inputs.filter(input => input.swing > 0);
+    const percent = Math.round(sensitivity.variation * 100);
+    
+    doc.addPage();
+    let yPosition = 30;
+    
+    doc.setFontSize(18);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Sensitivity Analysis', 20, yPosition);
+    yPosition += 10;
+    
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    const intro = doc.splitTextToSize(
+      `Each assumption is moved ${percent}% down (red) and ${percent}% up (green) while the others stay fixed. ` +
+      `Bars show the change in annual net profit from $${sensitivity.baseNetProfit.toLocaleString()}, largest first.`,
+      170
+    );
+    doc.text(intro, 20, yPosition);
+    yPosition += intro.length * 5 + 8;
+    
+    if (inputs.length === 0) return;
+    
+    const labelWidth = 70;
+    const center = 20 + labelWidth + 50;
+    const halfWidth = 45;
+    const rowHeight = 9;
+    const maxDelta = Math.max(...inputs.map(input => Math.max(
+      Math.abs(input.lowNetProfit - sensitivity.baseNetProfit),
+      Math.abs(input.highNetProfit - sensitivity.baseNetProfit)
+    )));
+    
+    const drawBar = (netProfit, y) => {
+      const delta = ((netProfit - sensitivity.baseNetProfit) / maxDelta) * halfWidth;
+      if (delta === 0) return;
+      doc.rect(delta < 0 ? center + delta : center, y, Math.abs(delta), rowHeight - 3, 'F');
+    };
+    
+    inputs.forEach(input => {
+      doc.setTextColor(0);
+      doc.text(input.label, 20 + labelWidth, yPosition + 4, { align: 'right' });
+      
+      doc.setFillColor(231, 76, 60);
+      drawBar(input.lowNetProfit, yPosition);
+      doc.setFillColor(46, 204, 113);
+      drawBar(input.highNetProfit, yPosition);
+      
+      yPosition += rowHeight;
+    });
+    
+    doc.setDrawColor(100);
+    doc.line(center, yPosition - inputs.length * rowHeight - 2, center, yPosition);
+    doc.setDrawColor(0);
   }
 
   /**
@@ -0,0 +1,59 @@
+/**
+ * Perf HUD - Dev-mode readout of frame rate, render cost and render quality
+ */
+
+class PerfHud {
+  /**
+   * @param {RenderLoop} renderLoop - Loop to report on
+   */
+  constructor(renderLoop) {
+    this.renderLoop = renderLoop;
+    this.element = null;
+    this.interval = null;
+    this.updateInterval = 500; // ms
+  }
+
+  /**
+   * Show the HUD and start updating it
+   */
+  init() {
+    this.element = document.createElement('div');
+    this.element.className = 'perf-hud';
+    this.element.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(this.element);
+
+    this.update();
+    this.interval = setInterval(() => this.update(), this.updateInterval);
+  }
+
+  /**
+   * Redraw the readout
+   */
+  update() {
+    const stats = this.renderLoop.getStats();
+    const idle = stats.renders === 0;
+    const features = [
+      `${stats.pixelRatio}x`,
+      stats.shadows ? 'shadows' : 'no shadows',
+      stats.antialias ? 'AA' : 'no AA'
+    ].join(', ');
+
+    this.element.classList.toggle('idle', idle);
+    this.element.innerHTML = `
+      <div>${idle ? 'idle' : `${stats.fps || '-'} fps`} &middot; ${stats.renders} renders/s</div>
+      <div>${stats.renderTime.toFixed(1)} ms/render &middot; ${stats.drawCalls} calls &middot; ${stats.triangles} tris</div>
+      <div>${stats.quality}${stats.adaptive ? ' (auto)' : ''}: ${features}</div>
+    `;
+  }
+
+  /**
+   * Remove the HUD
+   */
+  destroy() {
+    clearInterval(this.interval);
+    this.element?.remove();
+  }
+}
+
+// Export class
+window.PerfHud = PerfHud;
@@ -0,0 +1,142 @@
+/**
+ * Poll Client - WebSocket connection to the poll relay (scripts/poll-relay.js)
+ * Shared by the presentation, which joins as the presenter, and by poll.html on the
+ * audience's phones. Reconnects with backoff until disconnected, or until the relay refuses
+ * the connection (close code 1008), which retrying cannot fix.
+ */
+
+class PollClient {
+  /**
+   * @param {string} url - Relay WebSocket URL, including the role and voter query parameters
+   * @param {Object} handlers - { onMessage(message), onStatusChange(status) }
+   */
+  constructor(url, handlers = {}) {
+    this.url = url;
+    this.onMessage = handlers.onMessage || null;
+    this.onStatusChange = handlers.onStatusChange || null;
+    this.socket = null;
+    this.status = 'offline'; // offline, connecting, connected or refused
+    this.closed = false;
+
+    // Reconnect timing
+    this.baseDelay = 1000; // ms, doubled after each failed attempt
+    this.maxDelay = 10000; // ms
+    this.retryDelay = this.baseDelay;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Connect to the relay, if not connected already
+   */
+  connect() {
+    this.closed = false;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (this.socket) return;
+
+    this.setStatus('connecting');
+
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (error) {
+      console.warn('Failed to connect to poll relay:', error);
+      this.setStatus('offline');
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket.addEventListener('open', () => {
+      this.retryDelay = this.baseDelay;
+      this.setStatus('connected');
+    });
+
+    this.socket.addEventListener('message', (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch (error) {
+        console.warn('Ignoring malformed poll message:', e.data);
+        return;
+      }
+
+      if (this.onMessage) {
+        this.onMessage(message);
+      }
+    });
+
+    this.socket.addEventListener('close', (e) => {
+      this.socket = null;
+
+      // Policy violation: the relay refused this role, so stop until connect() is called again
+      if (e.code === 1008) {
+        console.warn('Poll relay refused the connection:', e.reason);
+        this.closed = true;
+        this.setStatus('refused');
+        return;
+      }
+
+      this.setStatus('offline');
+
+      if (!this.closed) {
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Try again after the current delay, and back off further
+   */
+  scheduleReconnect() {
+    this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+    this.retryDelay = Math.min(this.maxDelay, this.retryDelay * 2);
+  }
+
+  /**
+   * Send a message to the relay
+   * @param {Object} message - Message
+   * @returns {boolean} Whether it was sent
+   */
+  send(message) {
+    if (!this.isConnected()) return false;
+
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Check if connected
+   * @returns {boolean} Connected
+   */
+  isConnected() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Update and report the connection status
+   * @param {string} status - offline, connecting, connected or refused
+   */
+  setStatus(status) {
+    this.status = status;
+
+    if (this.onStatusChange) {
+      this.onStatusChange(status);
+    }
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  disconnect() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+// Export class
+window.PollClient = PollClient;
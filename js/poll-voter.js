@@ -0,0 +1,178 @@
+/**
+ * Poll Voter - Audience page for live polls (poll.html), opened from the QR code
+ * Connects to the relay that served the page, shows the open poll's answers and
+ * sends the attendee's vote. Tapping another answer changes the vote.
+ */
+
+class PollVoter {
+  constructor() {
+    this.client = null;
+    this.voterId = null;
+    this.poll = null;
+    this.open = false;
+    this.vote = null;
+    this.storageKey = 'ace-poll-voter';
+
+    // DOM elements
+    this.statusText = null;
+    this.question = null;
+    this.options = null;
+    this.note = null;
+
+    // Bind methods
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStatusChange = this.handleStatusChange.bind(this);
+  }
+
+  /**
+   * Initialize the voting page
+   */
+  init() {
+    this.statusText = document.getElementById('voter-status');
+    this.question = document.getElementById('voter-question');
+    this.options = document.getElementById('voter-options');
+    this.note = document.getElementById('voter-note');
+
+    this.options?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-option]');
+      if (button) {
+        this.sendVote(button.dataset.option);
+      }
+    });
+
+    this.voterId = this.getVoterId();
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const params = new URLSearchParams({ role: 'voter', voter: this.voterId });
+    this.client = new window.PollClient(`${protocol}//${window.location.host}/ws?${params}`, {
+      onMessage: this.handleMessage,
+      onStatusChange: this.handleStatusChange
+    });
+    this.client.connect();
+
+    console.log('Poll voter initialized');
+  }
+
+  /**
+   * ID the relay counts one vote per poll for; kept so a reload can't vote twice
+   * @returns {string} Voter ID
+   */
+  getVoterId() {
+    const createId = () => (window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+    try {
+      const voterId = localStorage.getItem(this.storageKey) || createId();
+      localStorage.setItem(this.storageKey, voterId);
+      return voterId;
+    } catch (error) {
+      console.warn('Failed to store voter ID:', error);
+      return createId();
+    }
+  }
+
+  /**
+   * Handle a message from the relay
+   * @param {Object} message - state, voted or error message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'state':
+        this.poll = message.poll;
+        this.open = message.open;
+        this.vote = message.vote;
+        this.render();
+        break;
+      case 'voted':
+        if (this.poll?.id === message.pollId) {
+          this.vote = message.optionId;
+          this.render();
+        }
+        break;
+      case 'error':
+        this.setNote(message.message);
+        break;
+    }
+  }
+
+  /**
+   * Handle relay connection status change
+   * @param {string} status - offline, connecting, connected or refused
+   */
+  handleStatusChange(status) {
+    const labels = {
+      offline: 'Reconnecting...',
+      connecting: 'Connecting...',
+      connected: '',
+      refused: 'Could not join the poll.'
+    };
+
+    if (this.statusText) {
+      this.statusText.textContent = labels[status] ?? status;
+    }
+
+    document.querySelectorAll('#voter-options button').forEach(button => {
+      button.disabled = status !== 'connected' || !this.open;
+    });
+  }
+
+  /**
+   * Show the current poll and this attendee's vote
+   */
+  render() {
+    if (!this.question || !this.options) return;
+
+    if (!this.poll) {
+      this.question.textContent = 'Waiting for the next poll';
+      this.options.innerHTML = '';
+      this.setNote('The question will appear here when the presenter opens it.');
+      return;
+    }
+
+    this.question.textContent = this.poll.question;
+    this.options.innerHTML = this.poll.options.map(option => `
+      <button type="button" class="voter-option${option.id === this.vote ? ' selected' : ''}"
+              data-option="${window.TextUtils.escapeHTML(option.id)}" aria-pressed="${option.id === this.vote}"
+              ${this.open ? '' : 'disabled'}>
+        ${window.TextUtils.escapeHTML(option.label)}
+      </button>
+    `).join('');
+
+    if (!this.open) {
+      this.setNote('Voting is closed. Thanks for taking part!');
+    } else if (this.vote) {
+      this.setNote('Vote recorded. Tap another answer to change it.');
+    } else {
+      this.setNote('Tap an answer to vote.');
+    }
+  }
+
+  /**
+   * Send this attendee's vote
+   * @param {string} optionId - Chosen answer
+   */
+  sendVote(optionId) {
+    if (!this.poll || !this.open) return;
+
+    if (!this.client.send({ type: 'vote', pollId: this.poll.id, optionId })) {
+      this.setNote('Not connected. Your vote was not sent, please try again.');
+    }
+  }
+
+  /**
+   * Show a note under the answers
+   * @param {string} text - Note
+   */
+  setNote(text) {
+    if (this.note) {
+      this.note.textContent = text;
+    }
+  }
+}
+
+// Initialize poll voter when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.pollVoter = new PollVoter();
+  window.pollVoter.init();
+});
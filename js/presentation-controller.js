@@ -21,6 +21,10 @@ class PresentationController {
     this.currentStep = 0;
     this.autoAdvance = false;
     
+    // Rehearsal mode
+    this.rehearsal = null;
+    this.rehearsalStore = window.RehearsalStore ? new window.RehearsalStore() : null;
+    
     // Bind methods
     this.handleUserInteraction = this.handleUserInteraction.bind(this);
   }
@@ -38,85 +42,103 @@ class PresentationController {
   }
 
   /**
-   * Setup presentation flow
+   * Setup presentation flow from the data file
    */
   setupPresentationFlow() {
-    this.flowSteps = [
-      // Chaos Section
-      {
-        section: 'chaos',
-        title: 'The Current State - Chaos',
-        duration: 60000, // 1 minute
-        actions: [
-          { type: 'showSection', target: 'chaos' },
-          { type: 'highlight3DPapers', delay: 2000 },
-          { type: 'showProblemCount', delay: 4000 },
-          { type: 'emphasizeCosts', delay: 6000 }
-        ],
-        presenterNotes: 'Introduce the current chaotic state. Point out the scattered papers representing problems. Emphasize financial impact.'
-      },
-      
-      // Valet Section
-      {
-        section: 'valet',
-        title: 'The Valet - Firefighter Response',
-        duration: 90000, // 1.5 minutes
-        actions: [
-          { type: 'showSection', target: 'valet' },
-          { type: 'showFirefighter', delay: 2000 },
-          { type: 'demonstrateProblemSolving', delay: 4000 },
-          { type: 'showTrainingSolutions', delay: 6000 },
-          { type: 'animatePaperToBinder', delay: 8000 }
-        ],
-        presenterNotes: 'Explain the valet as a firefighter. Show how problems are addressed reactively. Introduce systematic solutions.'
-      },
-      
-      // Manager Section
-      {
-        section: 'manager',
-        title: 'The Manager - Watchtower Oversight',
-        duration: 90000, // 1.5 minutes
-        actions: [
-          { type: 'showSection', target: 'manager' },
-          { type: 'showWatchtower', delay: 2000 },
-          { type: 'openBinder', delay: 4000 },
-          { type: 'showProcesses', delay: 6000 },
-          { type: 'demonstrateOversight', delay: 8000 }
-        ],
-        presenterNotes: 'Introduce the manager as watchtower. Show systematic oversight. Demonstrate process organization.'
-      },
-      
-      // Executive Section
-      {
-        section: 'executive',
-        title: 'The Executive - Strategic Overview',
-        duration: 120000, // 2 minutes
-        actions: [
-          { type: 'showSection', target: 'executive' },
-          { type: 'showPlane', delay: 2000 },
-          { type: 'displayKPIs', delay: 4000 },
-          { type: 'showROICalculator', delay: 6000 },
-          { type: 'demonstrateROI', delay: 8000 },
-          { type: 'showPredictiveAnalytics', delay: 10000 }
-        ],
-        presenterNotes: 'Present executive view as fire-spotter plane. Show KPIs and ROI. Demonstrate predictive capabilities.'
-      },
-      
-      // Closing Section
-      {
-        section: 'closing',
-        title: 'The Path Forward - Call to Action',
-        duration: 60000, // 1 minute
-        actions: [
-          { type: 'showSection', target: 'closing' },
-          { type: 'showTransformation', delay: 2000 },
-          { type: 'highlightPilotProgram', delay: 4000 },
-          { type: 'showNextSteps', delay: 6000 },
-          { type: 'emphasizeCTA', delay: 8000 }
-        ],
-        presenterNotes: 'Summarize transformation. Highlight pilot program. Strong call to action.'
+    const flow = window.dataManager ? window.dataManager.getPresentationFlow() : [];
+    this.flowSteps = this.loadFlowSteps(flow);
+    
+    if (this.flowSteps.length === 0 && window.dataManager) {
+      console.warn('No usable flow steps in presentation data, using default flow');
+      this.flowSteps = this.loadFlowSteps(window.dataManager.getDefaultPresentationFlow());
+    }
+  }
+
+  /**
+   * Validate flow steps against the sections and action handlers this
+   * controller supports. Unknown actions are dropped, steps for unknown
+   * sections are skipped, and every problem is reported to DataManager.
+   * @param {Array<Object>} steps - Flow steps from the data file
+   * @returns {Array<Object>} Steps safe to execute
+   */
+  loadFlowSteps(steps) {
+    const handlers = this.getActionHandlers();
+    const errors = [];
+    
+    const flowSteps = steps.filter((step, index) => {
+      if (!this.sectionOrder.includes(step.section)) {
+        errors.push({ path: `flow[${index}].section`, message: `unknown section "${step.section}"`, action: 'rejected' });
+        return false;
       }
-    ];
+      return true;
+    }).map(step => {
+      const stepIndex = steps.indexOf(step);
+      const actions = (step.actions || []).filter((action, actionIndex) => {
+        const path = `flow[${stepIndex}].actions[${actionIndex}]`;
+        
+        if (!handlers[action.type]) {
+          errors.push({
+            path: `${path}.type`,
+            message: `unknown action "${action.type}", expected one of: ${Object.keys(handlers).join(', ')}`,
+            action: 'rejected'
+          });
+          return false;
+        }
+        
+        if (action.type === 'showSection' && action.target && !this.sectionOrder.includes(action.target)) {
+          errors.push({ path: `${path}.target`, message: `unknown section "${action.target}"`, action: 'rejected' });
+          return false;
+        }
+        
+        return true;
+      });
+      
+      return {
+        ...step,
+        duration: Number(step.duration) || 0,
+        actions: actions.map(action => ({
+          ...action,
+          target: action.type === 'showSection' ? (action.target || step.section) : action.target
+        })),
+        presenterNotes: step.presenterNotes || ''
+      };
+    });
+    
+    if (window.dataManager) {
+      window.dataManager.reportValidationErrors(errors);
+    }
+    
+    return flowSteps;
+  }
+
+  /**
+   * Get handlers for flow action types
+   * @returns {Object} Handlers keyed by action type
+   */
+  getActionHandlers() {
+    return {
+      showSection: (action) => this.showSection(action.target),
+      highlight3DPapers: () => this.highlight3DPapers(),
+      showProblemCount: () => this.showProblemCount(),
+      emphasizeCosts: () => this.emphasizeCosts(),
+      showFirefighter: () => this.showFirefighter(),
+      demonstrateProblemSolving: () => this.demonstrateProblemSolving(),
+      showTrainingSolutions: () => this.showTrainingSolutions(),
+      animatePaperToBinder: () => this.animatePaperToBinder(),
+      showWatchtower: () => this.showWatchtower(),
+      openBinder: () => this.openBinder(),
+      showProcesses: () => this.showProcesses(),
+      demonstrateOversight: () => this.demonstrateOversight(),
+      showPlane: () => this.showPlane(),
+      displayKPIs: () => this.displayKPIs(),
+      showROICalculator: () => this.showROICalculator(),
+      demonstrateROI: () => this.demonstrateROI(),
+      showPredictiveAnalytics: () => this.showPredictiveAnalytics(),
+      showTransformation: () => this.showTransformation(),
+      highlightPilotProgram: () => this.highlightPilotProgram(),
+      showNextSteps: () => this.showNextSteps(),
+      emphasizeCTA: () => this.emphasizeCTA()
+    };
   }
 
   /**
@@ -171,6 +193,10 @@ class PresentationController {
       this.executeFlowStep(this.flowSteps[stepIndex]);
     }
     
+    if (this.rehearsal) {
+      this.recordRehearsalSegment();
+    }
+    
     // Update presentation state
     this.updatePresentationState();
   }
@@ -209,72 +235,11 @@ class PresentationController {
    * @param {Object} action - Action to execute
    */
   executeAction(action) {
-    switch (action.type) {
-      case 'showSection':
-        this.showSection(action.target);
-        break;
-      case 'highlight3DPapers':
-        this.highlight3DPapers();
-        break;
-      case 'showProblemCount':
-        this.showProblemCount();
-        break;
-      case 'emphasizeCosts':
-        this.emphasizeCosts();
-        break;
-      case 'showFirefighter':
-        this.showFirefighter();
-        break;
-      case 'demonstrateProblemSolving':
-        this.demonstrateProblemSolving();
-        break;
-      case 'showTrainingSolutions':
-        this.showTrainingSolutions();
-        break;
-      case 'animatePaperToBinder':
-        this.animatePaperToBinder();
-        break;
-      case 'showWatchtower':
-        this.showWatchtower();
-        break;
-      case 'openBinder':
-        this.openBinder();
-        break;
-      case 'showProcesses':
-        this.showProcesses();
-        break;
-      case 'demonstrateOversight':
-        this.demonstrateOversight();
-        break;
-      case 'showPlane':
-        this.showPlane();
-        break;
-      case 'displayKPIs':
-        this.displayKPIs();
-        break;
-      case 'showROICalculator':
-        this.showROICalculator();
-        break;
-      case 'demonstrateROI':
-        this.demonstrateROI();
-        break;
-      case 'showPredictiveAnalytics':
-        this.showPredictiveAnalytics();
-        break;
-      case 'showTransformation':
-        this.showTransformation();
-        break;
-      case 'highlightPilotProgram':
-        this.highlightPilotProgram();
-        break;
-      case 'showNextSteps':
-        this.showNextSteps();
-        break;
-      case 'emphasizeCTA':
-        this.emphasizeCTA();
-        break;
-      default:
-        console.warn(`Unknown action type: ${action.type}`);
+    const handler = this.getActionHandlers()[action.type];
+    if (handler) {
+      handler(action);
+    } else {
+      console.warn(`Unknown action type: ${action.type}`);
     }
   }
 
@@ -652,6 +617,155 @@ class PresentationController {
     this.autoAdvance = false;
   }
 
+  /**
+   * Start a rehearsal run, timing each section until stopRehearsal()
+   */
+  startRehearsal() {
+    this.rehearsal = {
+      deck: window.dataManager?.getCurrentDeck()?.id || 'default',
+      startedAt: Date.now(),
+      segments: [],
+      current: null
+    };
+    this.recordRehearsalSegment();
+    
+    window.dispatchEvent(new CustomEvent('rehearsalStarted'));
+  }
+
+  /**
+   * Close the open segment and start timing the current section
+   */
+  recordRehearsalSegment() {
+    const now = Date.now();
+    
+    if (this.rehearsal.current) {
+      this.rehearsal.segments.push({
+        ...this.rehearsal.current,
+        duration: now - this.rehearsal.current.startedAt
+      });
+    }
+    
+    this.rehearsal.current = { section: this.currentSection, startedAt: now };
+  }
+
+  /**
+   * Stop the rehearsal and save the run
+   * @returns {Promise<Object|null>} Saved run
+   */
+  async stopRehearsal() {
+    if (!this.rehearsal) return null;
+    
+    this.recordRehearsalSegment();
+    const { deck, startedAt, segments } = this.rehearsal;
+    this.rehearsal = null;
+    
+    // Sections can be revisited, so sum every visit
+    const run = {
+      deck,
+      startedAt,
+      endedAt: Date.now(),
+      totalDuration: segments.reduce((total, segment) => total + segment.duration, 0),
+      steps: this.flowSteps.map((step, index) => ({
+        index,
+        section: step.section,
+        title: step.title,
+        target: step.duration,
+        actual: segments
+          .filter(segment => segment.section === step.section)
+          .reduce((total, segment) => total + segment.duration, 0)
+      }))
+    };
+    
+    if (this.rehearsalStore) {
+      try {
+        run.id = await this.rehearsalStore.saveRun(run);
+      } catch (error) {
+        console.warn('Failed to save rehearsal run:', error);
+      }
+    }
+    
+    window.dispatchEvent(new CustomEvent('rehearsalStopped', {
+      detail: { run }
+    }));
+    
+    return run;
+  }
+
+  /**
+   * Check if a rehearsal is being recorded
+   * @returns {boolean} Is rehearsing
+   */
+  isRehearsing() {
+    return this.rehearsal !== null;
+  }
+
+  /**
+   * Compare saved rehearsal runs against the flow step durations
+   * @returns {Promise<Object>} Report with per-step last/average/best and overrun flags
+   */
+  async getRehearsalReport() {
+    const deck = window.dataManager?.getCurrentDeck()?.id || 'default';
+    let runs = [];
+    
+    if (this.rehearsalStore) {
+      try {
+        runs = await this.rehearsalStore.getRuns(deck);
+      } catch (error) {
+        console.warn('Failed to load rehearsal runs:', error);
+      }
+    }
+    
+    const summarize = (target, actuals) => {
+      if (actuals.length === 0) {
+        return { target, runs: 0, last: null, average: null, best: null, overruns: 0, alwaysOverruns: false };
+      }
+      
+      const overruns = actuals.filter(actual => actual > target).length;
+      return {
+        target,
+        runs: actuals.length,
+        last: actuals[actuals.length - 1],
+        average: Math.round(actuals.reduce((total, actual) => total + actual, 0) / actuals.length),
+        // Best is the run closest to the target
+        best: actuals.reduce((best, actual) => Math.abs(actual - target) < Math.abs(best - target) ? actual : best),
+        overruns,
+        alwaysOverruns: actuals.length >= 2 && overruns === actuals.length
+      };
+    };
+    
+    const steps = this.flowSteps.map(step => {
+      // Only count runs that actually visited the section
+      const actuals = runs
+        .map(run => run.steps.find(runStep => runStep.section === step.section)?.actual || 0)
+        .filter(actual => actual > 0);
+      
+      return {
+        section: step.section,
+        title: step.title,
+        ...summarize(step.duration, actuals)
+      };
+    });
+    
+    return {
+      deck,
+      runCount: runs.length,
+      steps,
+      total: summarize(
+        this.flowSteps.reduce((total, step) => total + step.duration, 0),
+        runs.map(run => run.totalDuration)
+      )
+    };
+  }
+
+  /**
+   * Delete saved rehearsal runs for the current deck
+   * @returns {Promise<void>}
+   */
+  async clearRehearsals() {
+    if (!this.rehearsalStore) return;
+    await this.rehearsalStore.clearRuns(window.dataManager?.getCurrentDeck()?.id || 'default');
+  }
+
   /**
    * Handle user interaction
    */
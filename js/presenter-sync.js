@@ -0,0 +1,105 @@
+/**
+ * Presenter Sync - Keeps the audience window and the presenter window in step
+ * Uses BroadcastChannel when available, falling back to window.postMessage
+ */
+
+class PresenterSync {
+  /**
+   * @param {string} role - 'audience' or 'presenter'
+   */
+  constructor(role) {
+    this.role = role;
+    this.channelName = 'ace-presenter-sync';
+    this.channel = null;
+    this.peerWindow = null;
+    this.handlers = {};
+
+    // Bind methods
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleWindowMessage = this.handleWindowMessage.bind(this);
+  }
+
+  /**
+   * Open the channel
+   */
+  connect() {
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.addEventListener('message', this.handleMessage);
+    } else {
+      window.addEventListener('message', this.handleWindowMessage);
+      if (this.role === 'presenter') {
+        this.peerWindow = window.opener;
+      }
+    }
+  }
+
+  /**
+   * Set the window to post to when BroadcastChannel is unavailable
+   * @param {Window} peerWindow - The other window
+   */
+  setPeerWindow(peerWindow) {
+    this.peerWindow = peerWindow;
+  }
+
+  /**
+   * Register a handler for a message type
+   * @param {string} type - Message type (state, navigate, requestState)
+   * @param {Function} handler - Called with the message
+   */
+  on(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Send a message to the other window
+   * @param {string} type - Message type
+   * @param {Object} payload - Message data
+   */
+  send(type, payload = {}) {
+    const message = { ...payload, type, from: this.role };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+    } else if (this.peerWindow && !this.peerWindow.closed) {
+      this.peerWindow.postMessage(message, window.location.origin);
+    }
+  }
+
+  /**
+   * Handle a BroadcastChannel message
+   * @param {MessageEvent} e - Message event
+   */
+  handleMessage(e) {
+    const message = e.data;
+    if (!message || message.from === this.role) return;
+
+    const handler = this.handlers[message.type];
+    if (handler) {
+      handler(message);
+    }
+  }
+
+  /**
+   * Handle a postMessage message, ignoring other origins
+   * @param {MessageEvent} e - Message event
+   */
+  handleWindowMessage(e) {
+    if (e.origin !== window.location.origin) return;
+    this.handleMessage(e);
+  }
+
+  /**
+   * Close the channel
+   */
+  disconnect() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    window.removeEventListener('message', this.handleWindowMessage);
+  }
+}
+
+// Create global instance
+window.PresenterSync = PresenterSync;
@@ -0,0 +1,190 @@
+/**
+ * Presenter View - Private speaker window for dual-screen presenting
+ * Shows notes, timer and the next step while the audience window shows the deck
+ */
+
+class PresenterView {
+  constructor() {
+    this.sync = null;
+    this.state = null;
+    this.timerInterval = null;
+
+    // Bind methods
+    this.handleKeyboard = this.handleKeyboard.bind(this);
+    this.renderState = this.renderState.bind(this);
+    this.renderPacing = this.renderPacing.bind(this);
+  }
+
+  /**
+   * Initialize presenter view
+   */
+  init() {
+    this.sync = new window.PresenterSync('presenter');
+    this.sync.connect();
+    this.sync.on('state', this.renderState);
+    this.sync.on('pacing', this.renderPacing);
+
+    document.getElementById('pv-prev')?.addEventListener('click', () => this.navigate('previous'));
+    document.getElementById('pv-next')?.addEventListener('click', () => this.navigate('next'));
+    document.addEventListener('keydown', this.handleKeyboard);
+
+    window.addEventListener('beforeunload', () => {
+      this.sync.send('presenterClosed');
+      this.sync.disconnect();
+    });
+
+    this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+
+    // Ask the audience window for its current state
+    this.sync.send('requestState');
+
+    console.log('Presenter view initialized');
+  }
+
+  /**
+   * Ask the audience window to move
+   * @param {string} direction - 'next' or 'previous'
+   */
+  navigate(direction) {
+    this.sync.send('navigate', { direction });
+  }
+
+  /**
+   * Handle keyboard navigation (same keys as the audience window)
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyboard(e) {
+    switch (e.key) {
+      case 'ArrowRight':
+      case ' ':
+      case 'PageDown':
+        e.preventDefault();
+        this.navigate('next');
+        break;
+      case 'ArrowLeft':
+      case 'PageUp':
+        e.preventDefault();
+        this.navigate('previous');
+        break;
+    }
+  }
+
+  /**
+   * Render state received from the audience window
+   * @param {Object} state - Presentation state
+   */
+  renderState(state) {
+    this.state = state;
+
+    const status = document.getElementById('pv-status');
+    if (status) {
+      status.hidden = true;
+    }
+
+    this.setText('pv-section-index', state.sectionIndex + 1);
+    this.setText('pv-section-count', state.sectionCount);
+    this.setText('pv-current-title', state.section?.title || '-');
+    this.setText('pv-step-title', state.step?.title || '');
+    this.setText('pv-notes', state.step?.presenterNotes || '');
+    this.setText('pv-cue', state.section?.presenterCue || '');
+
+    this.renderNext(state);
+    this.updateTimer();
+
+    const prevBtn = document.getElementById('pv-prev');
+    const nextBtn = document.getElementById('pv-next');
+    if (prevBtn) prevBtn.disabled = state.sectionIndex === 0;
+    if (nextBtn) nextBtn.disabled = !state.nextSection;
+  }
+
+  /**
+   * Render the next section preview
+   * @param {Object} state - Presentation state
+   */
+  renderNext(state) {
+    const thumbnail = document.getElementById('pv-next-thumbnail');
+
+    if (!state.nextSection) {
+      this.setText('pv-next-title', 'End of presentation');
+      if (thumbnail) thumbnail.innerHTML = '';
+      return;
+    }
+
+    this.setText('pv-next-title', state.nextStep?.title || state.nextSection.title);
+    if (!thumbnail) return;
+
+    if (state.nextThumbnail) {
+      thumbnail.innerHTML = `<img src="${state.nextThumbnail}" alt="Preview of ${state.nextSection.title}">`;
+    } else {
+      thumbnail.innerHTML = `
+        <div class="pv-thumbnail-outline">
+          <strong>${state.nextSection.title}</strong>
+          <ul>
+            ${(state.nextStep?.actions || []).map(action => `<li>${action.type}</li>`).join('')}
+          </ul>
+        </div>
+      `;
+    }
+  }
+
+  /**
+   * Render section budget and ahead/behind status sent each second by the audience window,
+   * using the labels it formatted
+   * @param {Object} pacing - Pacing from ACEPresentation.getPacing
+   */
+  renderPacing(pacing) {
+    const budget = document.getElementById('pv-section-budget');
+    const pace = document.getElementById('pv-pace');
+    const wasOverrun = budget?.classList.contains('overrun');
+
+    if (budget) {
+      budget.textContent = pacing.budgetLabel;
+      budget.className = `section-budget ${pacing.status}`;
+    }
+
+    if (pace) {
+      pace.textContent = pacing.paceLabel;
+      pace.className = `pace-indicator ${pacing.scheduleDelta > 0 ? 'behind' : 'ahead'}`;
+    }
+
+    // Cue once when the section first runs over
+    if (pacing.status === 'overrun' && !wasOverrun) {
+      document.body.classList.add('overrun-flash');
+      setTimeout(() => document.body.classList.remove('overrun-flash'), 1500);
+      if (navigator.vibrate) {
+        navigator.vibrate([200, 100, 200]);
+      }
+    }
+  }
+
+  /**
+   * Update elapsed time from the audience window's start time
+   */
+  updateTimer() {
+    if (!this.state?.startTime) return;
+
+    const elapsed = Date.now() - this.state.startTime;
+    const minutes = Math.floor(elapsed / 60000);
+    const seconds = Math.floor((elapsed % 60000) / 1000);
+
+    this.setText('pv-timer', `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`);
+  }
+
+  /**
+   * Set an element's text content
+   * @param {string} id - Element ID
+   * @param {string|number} text - Text
+   */
+  setText(id, text) {
+    const element = document.getElementById(id);
+    if (element) {
+      element.textContent = text;
+    }
+  }
+}
+
+// Initialize presenter view when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.presenterView = new PresenterView();
+  window.presenterView.init();
+});
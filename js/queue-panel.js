@@ -0,0 +1,136 @@
+/**
+ * Queue Panel - Lists the implementation queue for reordering, removing and exporting
+ * The panel only draws the queue; changes go back to the app through the handlers.
+ */
+
+class QueuePanel {
+  /**
+   * @param {Object} handlers - { onMove(problemId, offset), onRemove(problemId), onExport(format) }
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.panel = null;
+    this.items = [];
+  }
+
+  /**
+   * Create the panel, hidden until opened
+   */
+  init() {
+    this.panel = document.createElement('aside');
+    this.panel.className = 'queue-panel';
+    this.panel.id = 'queue-panel';
+    this.panel.hidden = true;
+    this.panel.setAttribute('aria-label', 'Implementation queue');
+    this.panel.innerHTML = `
+      <div class="queue-panel-header">
+        <h3>Implementation Queue</h3>
+        <button type="button" class="queue-panel-close" data-action="close" aria-label="Close implementation queue">&times;</button>
+      </div>
+      <ol class="queue-panel-items"></ol>
+      <div class="queue-panel-footer">
+        <strong class="queue-panel-total"></strong>
+        <div class="queue-panel-actions">
+          <button type="button" data-action="export" data-format="csv">Export CSV</button>
+          <button type="button" data-action="export" data-format="json">Export JSON</button>
+        </div>
+      </div>
+    `;
+
+    this.panel.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const { problemId, format } = button.dataset;
+      const actions = {
+        close: () => this.close(),
+        up: () => this.handlers.onMove?.(problemId, -1),
+        down: () => this.handlers.onMove?.(problemId, 1),
+        remove: () => this.handlers.onRemove?.(problemId),
+        export: () => this.handlers.onExport?.(format)
+      };
+      actions[button.dataset.action]?.();
+    });
+
+    document.body.appendChild(this.panel);
+    this.render([]);
+  }
+
+  /**
+   * Show or hide the panel
+   * @returns {boolean} Whether the panel is now open
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+    return this.isOpen();
+  }
+
+  /**
+   * Show the panel
+   */
+  open() {
+    if (this.panel) this.panel.hidden = false;
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    if (this.panel) this.panel.hidden = true;
+    window.dispatchEvent(new CustomEvent('queuePanelClosed'));
+  }
+
+  /**
+   * Whether the panel is showing
+   * @returns {boolean} Open state
+   */
+  isOpen() {
+    return Boolean(this.panel && !this.panel.hidden);
+  }
+
+  /**
+   * Draw the queue
+   * @param {Array<Object>} items - Queue entries in order, from ImplementationQueue.getItems
+   */
+  render(items) {
+    this.items = items;
+    if (!this.panel) return;
+
+    const list = this.panel.querySelector('.queue-panel-items');
+    const total = items.reduce((sum, item) => sum + (item.financialImpact || 0), 0);
+
+    list.innerHTML = items.length === 0
+      ? '<li class="queue-panel-empty">Nothing queued yet. Choose "Implement Solution" on a problem to add it.</li>'
+      : items.map((item, index) => {
+        const title = window.TextUtils.escapeHTML(item.title);
+        const problemId = window.TextUtils.escapeHTML(item.problemId);
+        return `
+        <li class="queue-panel-item">
+          <div class="queue-panel-item-text">
+            <strong>${title}</strong>
+            <span>${window.TextUtils.escapeHTML(item.category || 'uncategorized')} &middot; $${(item.financialImpact || 0).toLocaleString()}</span>
+            ${item.solutions.length ? `<span>Solutions: ${window.TextUtils.escapeHTML(item.solutions.map(solution => solution.title).join(', '))}</span>` : ''}
+          </div>
+          <div class="queue-panel-item-actions">
+            <button type="button" data-action="up" data-problem-id="${problemId}" aria-label="Move ${title} up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+            <button type="button" data-action="down" data-problem-id="${problemId}" aria-label="Move ${title} down" ${index === items.length - 1 ? 'disabled' : ''}>&darr;</button>
+            <button type="button" data-action="remove" data-problem-id="${problemId}" aria-label="Remove ${title} from the queue">&times;</button>
+          </div>
+        </li>
+      `;
+      }).join('');
+
+    this.panel.querySelector('.queue-panel-total').textContent =
+      `${items.length} queued · $${total.toLocaleString()} total impact`;
+    this.panel.querySelectorAll('[data-action="export"]').forEach(button => {
+      button.disabled = items.length === 0;
+    });
+  }
+}
+
+// Export class
+window.QueuePanel = QueuePanel;
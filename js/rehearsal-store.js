@@ -0,0 +1,53 @@
+/**
+ * Rehearsal Store - Persists rehearsal runs in IndexedDB
+ * Each run records how long was spent in each flow step
+ */
+
+class RehearsalStore {
+  constructor() {
+    this.store = new window.IdbStore({
+      dbName: 'ace-presentation-rehearsals',
+      storeName: 'runs',
+      autoIncrement: true,
+      indexes: ['deck']
+    });
+  }
+
+  /**
+   * Save a completed run
+   * @param {Object} run - Run with deck, startedAt, endedAt and steps
+   * @returns {Promise<number>} Run ID
+   */
+  saveRun(run) {
+    return this.store.request('readwrite', store => store.add(run));
+  }
+
+  /**
+   * Get all runs for a deck, oldest first
+   * @param {string} deck - Deck ID
+   * @returns {Promise<Array<Object>>} Runs
+   */
+  async getRuns(deck) {
+    const runs = await this.store.request('readonly', store => store.index('deck').getAll(deck));
+    return runs.sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Delete all runs for a deck
+   * @param {string} deck - Deck ID
+   * @returns {Promise<void>}
+   */
+  async clearRuns(deck) {
+    const runs = await this.getRuns(deck);
+    await this.store.request('readwrite', store => {
+      let request = null;
+      runs.forEach(run => {
+        request = store.delete(run.id);
+      });
+      return request || store.count();
+    });
+  }
+}
+
+// Create global instance
+window.RehearsalStore = RehearsalStore;
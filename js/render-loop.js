@@ -0,0 +1,238 @@
+/**
+ * Render Loop - Renders a 3D scene only when something changes, at a quality the device can keep up with
+ * Scenes call requestRender() after changing anything visible; animations call it on every step.
+ * Back-to-back frames are timed: slow frames step quality down (pixel ratio, shadows),
+ * fast frames step it back up. Antialiasing can only be chosen when the WebGL context is
+ * created, so the level the loop settles on is saved and used for the next page load.
+ */
+
+class RenderLoop {
+  constructor() {
+    this.renderer = null;
+    this.scene = null;
+    this.camera = null;
+    this.running = false;
+    this.frameRequested = false;
+    this.frameId = null;
+
+    this.storageKey = 'ace-render-quality';
+    this.levels = [
+      { name: 'low', pixelRatio: 0.75, shadows: false, shadowType: null, antialias: false },
+      { name: 'medium', pixelRatio: 1, shadows: true, shadowType: 'PCFShadowMap', antialias: false },
+      { name: 'high', pixelRatio: 2, shadows: true, shadowType: 'PCFSoftShadowMap', antialias: true }
+    ];
+
+    // `?quality=low|medium|high` pins the level and turns adaptation off
+    const requested = new URLSearchParams(window.location.search).get('quality');
+    const pinned = this.levels.findIndex(level => level.name === requested);
+    this.adaptive = pinned === -1;
+    this.level = pinned !== -1 ? pinned : this.loadLevel();
+
+    // Frame timing
+    this.slowFrameTime = 25; // ms between frames, ~40fps
+    this.fastFrameTime = 18; // ms between frames, close to 60fps
+    this.sampleSize = 30;
+    this.upgradeDelay = 10000; // ms after a change before trying a higher level
+    this.frameIntervals = [];
+    this.lastFrame = 0;
+    this.lastChange = 0;
+
+    // For the perf HUD
+    this.fps = 0;
+    this.renderTimes = [];
+
+    this.renderFrame = this.renderFrame.bind(this);
+    this.requestRender = this.requestRender.bind(this);
+  }
+
+  /**
+   * Whether to create the WebGL context with antialiasing
+   * @returns {boolean} Antialias flag for THREE.WebGLRenderer
+   */
+  useAntialias() {
+    return this.levels[this.level].antialias;
+  }
+
+  /**
+   * Start rendering a scene
+   * @param {THREE.WebGLRenderer} renderer - Renderer
+   * @param {THREE.Scene} scene - Scene
+   * @param {THREE.Camera} camera - Camera
+   */
+  start(renderer, scene, camera) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.running = true;
+
+    this.applyLevel();
+    this.requestRender();
+  }
+
+  /**
+   * Stop rendering
+   */
+  stop() {
+    this.running = false;
+    this.frameRequested = false;
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Render on the next animation frame. Calls within one frame share a single render.
+   */
+  requestRender() {
+    if (!this.running || this.frameRequested) return;
+
+    this.frameRequested = true;
+    this.frameId = requestAnimationFrame(this.renderFrame);
+  }
+
+  /**
+   * Render one frame and record its timing
+   * @param {number} now - Frame timestamp
+   */
+  renderFrame(now) {
+    this.frameRequested = false;
+    this.frameId = null;
+    if (!this.running) return;
+
+    const start = performance.now();
+    this.renderer.render(this.scene, this.camera);
+    this.recordRender(performance.now() - start, now);
+
+    // Only back-to-back frames say anything about sustained frame rate
+    if (this.lastFrame && now - this.lastFrame < 100) {
+      this.recordInterval(now - this.lastFrame);
+    }
+    this.lastFrame = now;
+  }
+
+  /**
+   * Keep the last second of render timings for the HUD
+   * @param {number} renderTime - Time spent in renderer.render, in ms
+   * @param {number} now - Frame timestamp
+   */
+  recordRender(renderTime, now) {
+    this.renderTimes.push({ time: now, renderTime });
+    while (now - this.renderTimes[0].time > 1000) {
+      this.renderTimes.shift();
+    }
+  }
+
+  /**
+   * Track frame spacing and change quality once a full sample is slow or fast
+   * @param {number} interval - Time since the previous frame, in ms
+   */
+  recordInterval(interval) {
+    this.frameIntervals.push(interval);
+    if (this.frameIntervals.length < this.sampleSize) return;
+
+    const average = this.frameIntervals.reduce((sum, value) => sum + value, 0) / this.frameIntervals.length;
+    this.frameIntervals = [];
+    this.fps = Math.round(1000 / average);
+
+    if (!this.adaptive) return;
+
+    if (average > this.slowFrameTime && this.level > 0) {
+      this.setLevel(this.level - 1);
+    } else if (average < this.fastFrameTime && this.level < this.levels.length - 1 &&
+               performance.now() - this.lastChange > this.upgradeDelay) {
+      this.setLevel(this.level + 1);
+    }
+  }
+
+  /**
+   * Switch quality level and remember it for the next load
+   * @param {number} level - Index into levels
+   */
+  setLevel(level) {
+    this.level = Math.max(0, Math.min(this.levels.length - 1, level));
+    this.lastChange = performance.now();
+    this.frameIntervals = []; // timings from the old level no longer apply
+    this.applyLevel();
+    this.saveLevel();
+    this.requestRender();
+  }
+
+  /**
+   * Apply pixel ratio and shadow settings for the current level
+   */
+  applyLevel() {
+    if (!this.renderer) return;
+
+    const level = this.levels[this.level];
+    const shadowType = level.shadowType ? THREE[level.shadowType] : this.renderer.shadowMap.type;
+    const shadowsChanged = this.renderer.shadowMap.enabled !== level.shadows ||
+      this.renderer.shadowMap.type !== shadowType;
+
+    this.renderer.setPixelRatio(Math.min(level.pixelRatio, window.devicePixelRatio || 1));
+    this.renderer.shadowMap.enabled = level.shadows;
+    this.renderer.shadowMap.type = shadowType;
+
+    // Materials compile shadow support into their shaders, so they need rebuilding
+    if (shadowsChanged && this.scene) {
+      this.scene.traverse(object => {
+        [].concat(object.material || []).forEach(material => {
+          material.needsUpdate = true;
+        });
+      });
+    }
+  }
+
+  /**
+   * Read the level saved by a previous session
+   * @returns {number} Level index; defaults to the highest
+   */
+  loadLevel() {
+    try {
+      const saved = this.levels.findIndex(level => level.name === localStorage.getItem(this.storageKey));
+      return saved !== -1 ? saved : this.levels.length - 1;
+    } catch (error) {
+      return this.levels.length - 1;
+    }
+  }
+
+  /**
+   * Save the current level for the next load
+   */
+  saveLevel() {
+    try {
+      localStorage.setItem(this.storageKey, this.levels[this.level].name);
+    } catch (error) {
+      console.warn('Failed to save render quality:', error);
+    }
+  }
+
+  /**
+   * Current performance figures for the perf HUD
+   * @returns {Object} { fps, renderTime, renders, quality, pixelRatio, shadows, antialias, adaptive, drawCalls, triangles }
+   */
+  getStats() {
+    const level = this.levels[this.level];
+    const info = this.renderer?.info.render;
+    const now = performance.now();
+    const recent = this.renderTimes.filter(entry => now - entry.time <= 1000);
+    const renderTime = recent.reduce((sum, entry) => sum + entry.renderTime, 0) / (recent.length || 1);
+
+    return {
+      // No renders in the last second means the loop is idle
+      fps: recent.length > 1 ? this.fps : 0,
+      renderTime,
+      renders: recent.length,
+      quality: level.name,
+      pixelRatio: this.renderer ? this.renderer.getPixelRatio() : 0,
+      shadows: level.shadows,
+      antialias: Boolean(this.renderer?.getContextAttributes()?.antialias),
+      adaptive: this.adaptive,
+      drawCalls: info ? info.calls : 0,
+      triangles: info ? info.triangles : 0
+    };
+  }
+}
+
+// Export class
+window.RenderLoop = RenderLoop;
@@ -0,0 +1,232 @@
+/**
+ * Scene Renderer - Picks the scene implementation at runtime
+ * RichThreeScene, SimpleThreeScene and the 2D FlatScene share this interface,
+ * so callers only ever talk to window.threeScene
+ */
+
+class SceneRenderer {
+  constructor() {
+    this.implementations = {
+      rich: window.RichThreeScene,
+      simple: window.SimpleThreeScene,
+      flat: window.FlatScene
+    };
+
+    this.mode = this.selectMode();
+    this.implementation = new this.implementations[this.mode]();
+
+    console.log(`Scene renderer: ${this.mode}`);
+  }
+
+  /**
+   * Choose an implementation from the ?scene= parameter, falling back to device capability.
+   * Without WebGL only the flat scene can run, whatever was requested.
+   * @returns {string} 'rich', 'simple' or 'flat'
+   */
+  selectMode() {
+    const requested = new URLSearchParams(window.location.search).get('scene');
+
+    if (!this.supportsWebGL()) {
+      console.warn('WebGL unavailable, using the 2D scene');
+      return 'flat';
+    }
+
+    if (requested && this.implementations[requested]) {
+      return requested;
+    }
+
+    if (requested) {
+      console.warn(`Unknown scene "${requested}", choosing from device capability`);
+    }
+
+    return this.isCapableDevice() ? 'rich' : 'simple';
+  }
+
+  /**
+   * Check for WebGL and the Three.js library on a scratch canvas
+   * @returns {boolean} Whether a 3D scene can run
+   */
+  supportsWebGL() {
+    if (typeof THREE === 'undefined' || !window.WebGLRenderingContext) {
+      return false;
+    }
+
+    try {
+      const canvas = document.createElement('canvas');
+      return !!(canvas.getContext('webgl') || canvas.getContext('experimental-webgl'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether the device can comfortably run the rich scene.
+   * deviceMemory and hardwareConcurrency are missing on some browsers; assume capable then.
+   * @returns {boolean} Whether to use the rich scene
+   */
+  isCapableDevice() {
+    const memory = navigator.deviceMemory || 4;
+    const cores = navigator.hardwareConcurrency || 4;
+    const coarsePointer = window.matchMedia?.('(pointer: coarse)').matches;
+
+    return memory >= 4 && cores >= 4 && !coarsePointer;
+  }
+
+  /**
+   * Get the active implementation name
+   * @returns {string} 'rich', 'simple' or 'flat'
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Initialize the scene, dropping to the flat scene if the WebGL renderer fails
+   * (context creation can still fail after detection, e.g. on blocklisted GPUs)
+   */
+  init() {
+    try {
+      this.implementation.init();
+    } catch (error) {
+      if (this.mode === 'flat') throw error;
+
+      console.warn(`Failed to start the ${this.mode} scene, using the 2D scene:`, error);
+      try {
+        this.implementation.cleanup();
+      } catch (cleanupError) {
+        // Partially initialized; nothing more to release
+      }
+
+      this.mode = 'flat';
+      this.implementation = new this.implementations.flat();
+      this.implementation.init();
+    }
+  }
+
+  /**
+   * Load external 3D models
+   * @param {Function} onProgress - Called with { loaded, total, progress }
+   * @returns {Promise<Object>} Load result per object type
+   */
+  loadModels(onProgress) {
+    return this.implementation.loadModels(onProgress);
+  }
+
+  /**
+   * Move the scene to a section
+   * @param {string} sectionId - Section ID
+   */
+  transitionToSection(sectionId) {
+    this.implementation.transitionToSection(sectionId);
+  }
+
+  /**
+   * Return the camera to a section's pose, e.g. after free exploration
+   * @param {string} sectionId - Section ID
+   */
+  animateCamera(sectionId) {
+    this.implementation.animateCamera?.(sectionId);
+  }
+
+  /**
+   * Animate a paper into the binder
+   * @param {THREE.Object3D|Object} paperMesh - Clicked paper from the paperClicked event
+   * @param {Function} callback - Called when the paper has been filed
+   * @param {Object} slot - Binder tab { index, count } to file it under
+   */
+  animatePaperToBinder(paperMesh, callback, slot) {
+    this.implementation.animatePaperToBinder(paperMesh, callback, slot);
+  }
+
+  /**
+   * File a problem's paper into the binder without animating, e.g. when restoring a saved queue
+   * @param {string} problemId - Problem ID
+   * @param {Object} slot - Binder tab { index, count } to file it under
+   * @returns {boolean} Whether a paper was filed
+   */
+  fileProblem(problemId, slot) {
+    return this.implementation.fileProblem(problemId, slot);
+  }
+
+  /**
+   * Return a filed problem's paper to the desk
+   * @param {string} problemId - Problem ID
+   * @returns {boolean} Whether a paper was returned
+   */
+  unfileProblem(problemId) {
+    return this.implementation.unfileProblem(problemId);
+  }
+
+  /**
+   * Put the binder's filed papers in queue order, in scenes that stack them
+   * @param {Array<string>} problemIds - Filed problem IDs in queue order
+   */
+  restackBinder(problemIds) {
+    this.implementation.restackBinder?.(problemIds);
+  }
+
+  /**
+   * Get game object by type
+   * @param {string} type - desk, papers, firefighter, watchtower, plane or binder
+   * @returns {THREE.Object3D|Object|Array|undefined} Game object
+   */
+  getGameObject(type) {
+    return this.implementation.getGameObject(type);
+  }
+
+  /**
+   * Get the camera director, for tools that move the camera directly
+   * @returns {CameraDirector|null} Director, or null for the flat scene
+   */
+  getCameraDirector() {
+    return this.implementation.cameraDirector || null;
+  }
+
+  /**
+   * Get the render loop, for the perf HUD
+   * @returns {RenderLoop|null} Render loop, or null for the flat scene
+   */
+  getRenderLoop() {
+    return this.implementation.renderLoop || null;
+  }
+
+  /**
+   * Capture the current view as a small JPEG data URL. Both 3D scenes share this;
+   * the flat scene draws its own canvas.
+   * @param {number} width - Thumbnail width in pixels
+   * @returns {string|null} JPEG data URL
+   */
+  captureThumbnail(width = 320) {
+    if (this.mode === 'flat') {
+      return this.implementation.captureThumbnail(width);
+    }
+
+    const { renderer, scene, camera } = this.implementation;
+    if (!renderer) return null;
+
+    // The WebGL buffer is cleared after each frame, so render right before copying it
+    renderer.render(scene, camera);
+    const source = renderer.domElement;
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = width;
+    thumbnail.height = Math.round(width * (source.height / source.width));
+
+    try {
+      thumbnail.getContext('2d').drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+      return thumbnail.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+      console.warn('Failed to capture scene thumbnail:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Release renderer resources and listeners
+   */
+  cleanup() {
+    this.implementation.cleanup();
+  }
+}
+
+// Create global instance
+window.threeScene = new SceneRenderer();
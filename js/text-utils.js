@@ -0,0 +1,78 @@
+/**
+ * Text Utils - Escaping, label, duration and export helpers shared by the presentation,
+ * the feedback dashboard and the voting page
+ */
+
+class TextUtils {
+  /**
+   * Escape text for innerHTML
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  static escapeHTML(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[char]);
+  }
+
+  /**
+   * Shorten a chart label
+   * @param {string} text - Label
+   * @param {number} length - Maximum length
+   * @returns {string} Label, with an ellipsis when cut
+   */
+  static truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+
+  /**
+   * Format milliseconds as m:ss, with a minus sign for negative values
+   * @param {number} ms - Milliseconds
+   * @returns {string} Formatted duration
+   */
+  static formatDuration(ms) {
+    const totalSeconds = Math.round(Math.abs(ms) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${ms < 0 ? '-' : ''}${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Format rows as CSV, quoting every value. Text starting with =, +, -, @, tab or
+   * carriage return gets a leading ' so spreadsheets show it instead of running it
+   * as a formula; numbers are left as they are.
+   * @param {Array<Array<*>>} rows - Header row, then data rows
+   * @returns {string} CSV
+   */
+  static toCSV(rows) {
+    const quote = value => {
+      const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value ?? '');
+      return `"${text.replace(/"/g, '""')}"`;
+    };
+    return rows.map(row => row.map(quote).join(',')).join('\n');
+  }
+
+  /**
+   * Save text as a file through the browser's download
+   * @param {string} content - File content
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   */
+  static download(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Export class
+window.TextUtils = TextUtils;
@@ -1,9 +1,10 @@
 /**
- * Simple Three.js Scene Controller
+ * Simple Three.js Scene
  * Clean, professional approach with cube placeholders for easy asset swapping
+ * Selected by SceneRenderer on low-end devices
  */
 
-class ThreeSceneController {
+class SimpleThreeScene {
   constructor() {
     this.scene = null;
     this.camera = null;
@@ -30,12 +31,23 @@ class ThreeSceneController {
       binder: '/assets/3d/binder.glb'
     };
     
+    // Largest dimension each model is scaled to, in scene units
+    this.modelSizes = {
+      firefighter: 2,
+      watchtower: 3,
+      plane: 2,
+      binder: 1
+    };
+    
     // Interaction state
     this.interactiveObjects = [];
     this.currentSection = 'chaos';
+    this.renderLoop = new window.RenderLoop(); // renders nothing until started in init
+    
+    // Render on the next frame. Call after changing anything visible.
+    this.requestRender = this.renderLoop.requestRender;
     
     // Bind methods
-    this.animate = this.animate.bind(this);
     this.onMouseMove = this.onMouseMove.bind(this);
     this.onMouseClick = this.onMouseClick.bind(this);
     this.onWindowResize = this.onWindowResize.bind(this);
@@ -61,15 +73,14 @@ class ThreeSceneController {
    */
   setupRenderer() {
     this.canvas = document.getElementById('three-canvas');
+    
+    // The render loop sets pixel ratio and shadows for its quality level
     this.renderer = new THREE.WebGLRenderer({ 
       canvas: this.canvas, 
-      antialias: true,
+      antialias: this.renderLoop.useAntialias(),
       alpha: true 
     });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
   }
 
   /**
@@ -87,6 +98,7 @@ class ThreeSceneController {
     this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
     this.camera.position.set(0, 5, 10);
     this.camera.lookAt(0, 0, 0);
+    this.cameraDirector = new window.CameraDirector(this.camera, this.requestRender);
   }
 
   /**
@@ -130,32 +142,54 @@ class ThreeSceneController {
    * Create paper objects - simple cubes
    */
   createPapers() {
-    const problems = window.dataManager?.getProblemsBySection('valet') || [];
-    const paperCount = Math.min(problems.length, 12);
-    
-    for (let i = 0; i < paperCount; i++) {
-      const paper = this.createPaper(i, problems[i]);
+    const problems = (window.dataManager?.getProblemsBySection('valet') || []).slice(0, 12);
+    this.paperSeverity = new window.PaperSeverity(problems);
+    
+    const placements = new window.PaperLayout({
+      deskWidth: 8,
+      deskDepth: 6,
+      paperWidth: 0.8,
+      paperDepth: 0.6,
+      seed: window.dataManager?.getLayoutSeed(),
+      getScale: problem => this.paperSeverity.getScale(problem)
+    }).layout(problems);
+    
+    problems.forEach((problemData, i) => {
+      const paper = this.createPaper(i, problemData, placements[i]);
       this.gameObjects.papers.push(paper);
       this.scene.add(paper);
       this.interactiveObjects.push(paper);
-    }
+    });
   }
 
   /**
    * Create single paper cube
+   * @param {number} index - Paper index
+   * @param {Object} problemData - Problem data
+   * @param {Object} placement - Position from PaperLayout ({ x, z, rotation, layer })
    */
-  createPaper(index, problemData) {
-    const geometry = new THREE.BoxGeometry(0.8, 0.05, 0.6);
+  createPaper(index, problemData, placement) {
+    // Larger papers for more severe problems
+    const scale = this.paperSeverity.getScale(problemData);
+    const size = { width: 0.8 * scale, height: 0.05, depth: 0.6 * scale };
+    const geometry = new THREE.BoxGeometry(size.width, size.height, size.depth);
     const color = problemData?.paper_color === 'yellow' ? 0xFFD700 : 0xFF4444;
     const material = new THREE.MeshLambertMaterial({ color });
     
     const paper = new THREE.Mesh(geometry, material);
     
-    // Random position on desk
-    paper.position.x = (Math.random() - 0.5) * 6;
-    paper.position.z = (Math.random() - 0.5) * 4;
-    paper.position.y = 0.1;
-    paper.rotation.y = Math.random() * Math.PI;
+    // Pile and title card show severity at a glance
+    const sheetSpacing = 0.06;
+    const pileHeight = this.paperSeverity.decorate(
+      paper, problemData, size, sheetSpacing, `#${color.toString(16).padStart(6, '0')}`
+    );
+    
+    // Position from the layout; stacked layers clear the tallest pile
+    const layerHeight = (this.paperSeverity.maxPileSheets + 1) * sheetSpacing;
+    paper.position.x = placement.x;
+    paper.position.z = placement.z;
+    paper.position.y = 0.1 + pileHeight + placement.layer * layerHeight;
+    paper.rotation.y = placement.rotation;
     
     paper.castShadow = true;
     paper.name = `paper-${index}`;
@@ -163,7 +197,8 @@ class ThreeSceneController {
       type: 'paper', 
       problemData,
       index,
-      originalPosition: paper.position.clone()
+      originalPosition: paper.position.clone(),
+      originalRotation: paper.rotation.clone()
     };
     
     return paper;
@@ -248,19 +283,17 @@ class ThreeSceneController {
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     
     this.raycaster.setFromCamera(this.mouse, this.camera);
-    const intersects = this.raycaster.intersectObjects(this.interactiveObjects);
+    const intersects = this.raycaster.intersectObjects(this.interactiveObjects, true);
     
     // Reset all hover states
     this.interactiveObjects.forEach(obj => {
-      obj.scale.set(1, 1, 1);
-      obj.material.emissive.setHex(0x000000);
+      this.setHighlight(obj, false);
     });
     
     // Apply hover to intersected object
     if (intersects.length > 0) {
-      const hoveredObject = intersects[0].object;
-      hoveredObject.scale.set(1.1, 1.1, 1.1);
-      hoveredObject.material.emissive.setHex(0x444444);
+      const hoveredObject = this.getInteractiveRoot(intersects[0].object);
+      this.setHighlight(hoveredObject, true);
       this.canvas.style.cursor = 'pointer';
       
       // Show tooltip
@@ -276,14 +309,45 @@ class ThreeSceneController {
    */
   onMouseClick(event) {
     this.raycaster.setFromCamera(this.mouse, this.camera);
-    const intersects = this.raycaster.intersectObjects(this.interactiveObjects);
+    const intersects = this.raycaster.intersectObjects(this.interactiveObjects, true);
     
     if (intersects.length > 0) {
-      const clickedObject = intersects[0].object;
+      const clickedObject = this.getInteractiveRoot(intersects[0].object);
       this.handleObjectClick(clickedObject);
     }
   }
 
+  /**
+   * Walk up from a hit mesh to the object carrying the click userData.
+   * Loaded models are groups, so the ray usually hits one of their children.
+   * @param {THREE.Object3D} object - Intersected object
+   * @returns {THREE.Object3D} Interactive object
+   */
+  getInteractiveRoot(object) {
+    let current = object;
+    while (current && !current.userData?.type && current.parent) {
+      current = current.parent;
+    }
+    return current?.userData?.type ? current : object;
+  }
+
+  /**
+   * Toggle hover highlight on an interactive object or model
+   * @param {THREE.Object3D} object - Interactive object
+   * @param {boolean} highlighted - Whether to highlight
+   */
+  setHighlight(object, highlighted) {
+    const baseScale = object.userData.baseScale || 1;
+    object.scale.setScalar(highlighted ? baseScale * 1.1 : baseScale);
+    
+    object.traverse(child => {
+      if (child.material?.emissive) {
+        child.material.emissive.setHex(highlighted ? 0x444444 : 0x000000);
+      }
+    });
+    this.requestRender();
+  }
+
   /**
    * Handle object click
    */
@@ -356,6 +420,8 @@ class ThreeSceneController {
       } else {
         object.position.y = originalY;
       }
+      
+      this.requestRender();
     };
     
     animate();
@@ -366,7 +432,19 @@ class ThreeSceneController {
    */
   transitionToSection(sectionId) {
     this.currentSection = sectionId;
+    this.animateCamera(sectionId);
     
+    // Show/hide objects based on section
+    this.updateObjectVisibility(sectionId);
+    this.requestRender();
+  }
+
+  /**
+   * Move the camera to the section's built-in shot. The data file's camera
+   * paths are staged for the rich scene's layout, so they are not used here.
+   * @param {string} sectionId - Section ID
+   */
+  animateCamera(sectionId) {
     // Simple camera transitions
     const cameraTargets = {
       chaos: { x: 0, y: 5, z: 10 },
@@ -376,13 +454,9 @@ class ThreeSceneController {
       closing: { x: 0, y: 5, z: 10 }
     };
     
-    const target = cameraTargets[sectionId];
-    if (target) {
-      this.animateCameraTo(target);
+    if (cameraTargets[sectionId]) {
+      this.animateCameraTo(cameraTargets[sectionId]);
     }
-    
-    // Show/hide objects based on section
-    this.updateObjectVisibility(sectionId);
   }
 
   /**
@@ -426,26 +500,16 @@ class ThreeSceneController {
   }
 
   /**
-   * Animate camera to position
+   * Animate camera to position, looking at the desk
+   * @param {Object} target - Camera position { x, y, z }
    */
   animateCameraTo(target) {
-    const start = this.camera.position.clone();
-    const end = new THREE.Vector3(target.x, target.y, target.z);
-    const startTime = Date.now();
-    
-    const animate = () => {
-      const elapsed = Date.now() - startTime;
-      const progress = Math.min(elapsed / 1000, 1);
-      
-      this.camera.position.lerpVectors(start, end, progress);
-      this.camera.lookAt(0, 0, 0);
-      
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      }
-    };
-    
-    animate();
+    this.cameraDirector.play([{
+      position: target,
+      lookAt: { x: 0, y: 0, z: 0 },
+      easing: 'linear',
+      duration: 1000
+    }]);
   }
 
   /**
@@ -455,51 +519,127 @@ class ThreeSceneController {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.requestRender();
   }
 
   /**
-   * Start render loop
+   * Start rendering on demand
    */
   startRenderLoop() {
-    this.animate();
+    this.renderLoop.start(this.renderer, this.scene, this.camera);
   }
 
   /**
-   * Animation loop
+   * Load every model in assetPaths, swapping each in for its placeholder.
+   * Missing or broken models keep their placeholder.
+   * @param {Function} onProgress - Called with { loaded, total, progress } (progress 0-1)
+   * @returns {Promise<Object>} Load result per type: 'loaded' or 'placeholder'
    */
-  animate() {
-    requestAnimationFrame(this.animate);
-    this.renderer.render(this.scene, this.camera);
+  async loadModels(onProgress = () => {}) {
+    const types = Object.keys(this.assetPaths);
+    const fractions = {};
+    const results = {};
+    
+    const reportProgress = () => {
+      const done = types.filter(type => results[type]).length;
+      const progress = types.reduce((sum, type) => sum + (fractions[type] || 0), 0) / types.length;
+      const detail = { loaded: done, total: types.length, progress };
+      
+      onProgress(detail);
+      window.dispatchEvent(new CustomEvent('assetLoadProgress', { detail }));
+    };
+    
+    if (!THREE.GLTFLoader) {
+      console.warn('GLTFLoader not available, keeping placeholders');
+      types.forEach(type => {
+        results[type] = 'placeholder';
+        fractions[type] = 1;
+      });
+      reportProgress();
+      return results;
+    }
+    
+    await Promise.all(types.map(async type => {
+      const loaded = await this.replacePlaceholder(type, this.assetPaths[type], (fraction) => {
+        fractions[type] = fraction;
+        reportProgress();
+      });
+      
+      results[type] = loaded ? 'loaded' : 'placeholder';
+      fractions[type] = 1;
+      reportProgress();
+    }));
+    
+    return results;
   }
 
   /**
    * Replace placeholder with 3D model
-   * Call this when you want to swap in actual 3D assets
+   * @param {string} type - Game object type
+   * @param {string} modelPath - GLB/GLTF path
+   * @param {Function} onProgress - Called with the loaded fraction (0-1)
+   * @returns {Promise<boolean>} Whether the model replaced the placeholder
    */
-  async replacePlaceholder(type, modelPath) {
+  async replacePlaceholder(type, modelPath, onProgress = () => {}) {
     const placeholder = this.gameObjects[type];
-    if (!placeholder) return;
+    if (!placeholder || !modelPath) return false;
     
     try {
-      // This is where you'd load your 3D model
-      // const loader = new THREE.GLTFLoader();
-      // const gltf = await loader.loadAsync(modelPath);
-      // const model = gltf.scene;
+      const gltf = await new Promise((resolve, reject) => {
+        new THREE.GLTFLoader().load(modelPath, resolve, (event) => {
+          if (event.lengthComputable) {
+            onProgress(event.loaded / event.total);
+          }
+        }, reject);
+      });
       
-      // For now, just log the swap
-      console.log(`Ready to swap ${type} placeholder with model from ${modelPath}`);
+      const model = gltf.scene;
       
-      // Copy transform and userData
-      // model.position.copy(placeholder.position);
-      // model.userData = placeholder.userData;
+      // Own materials so hover highlights don't leak between models
+      model.traverse(child => {
+        if (child.isMesh) {
+          child.castShadow = true;
+          child.material = child.material.clone();
+        }
+      });
+      
+      // Scale to the placeholder's footprint and sit on the same spot
+      const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+      const maxDimension = Math.max(size.x, size.y, size.z) || 1;
+      const scale = (this.modelSizes[type] || 1) / maxDimension;
+      model.scale.setScalar(scale);
+      model.position.copy(placeholder.position);
+      model.rotation.copy(placeholder.rotation);
+      model.visible = placeholder.visible;
+      model.name = type;
+      
+      // Keep the userData the click handlers rely on
+      model.userData = {
+        ...placeholder.userData,
+        isPlaceholder: false,
+        baseScale: scale
+      };
       
       // Replace in scene
-      // this.scene.remove(placeholder);
-      // this.scene.add(model);
-      // this.gameObjects[type] = model;
+      this.scene.remove(placeholder);
+      this.scene.add(model);
+      this.gameObjects[type] = model;
+      
+      const index = this.interactiveObjects.indexOf(placeholder);
+      if (index !== -1) {
+        this.interactiveObjects[index] = model;
+      }
+      
+      placeholder.geometry.dispose();
+      placeholder.material.dispose();
+      this.requestRender();
+      
+      console.log(`Loaded ${type} model from ${modelPath}`);
+      return true;
       
     } catch (error) {
-      console.error(`Failed to load model for ${type}:`, error);
+      console.warn(`Failed to load model for ${type}, keeping placeholder:`, error);
+      return false;
     }
   }
 
@@ -512,16 +652,20 @@ class ThreeSceneController {
 
   /**
    * Animate paper to binder (for main.js compatibility)
+   * @param {THREE.Object3D} paperMesh - Paper to file
+   * @param {Function} callback - Called once the paper is filed
+   * @param {Object} slot - Binder tab { index, count }; each tab has its own strip of the binder
    */
-  animatePaperToBinder(paperMesh, callback) {
+  animatePaperToBinder(paperMesh, callback, slot = { index: 0, count: 1 }) {
     if (!paperMesh) return;
     
-    // Simple animation to binder position
+    // Simple animation to the tab's strip on top of the binder
     const binder = this.gameObjects.binder;
     if (binder) {
       const startPos = paperMesh.position.clone();
       const endPos = binder.position.clone();
       endPos.y += 0.5;
+      endPos.z += (slot.index + 0.5) / slot.count - 0.5;
       
       const startTime = Date.now();
       const duration = 1000;
@@ -538,14 +682,61 @@ class ThreeSceneController {
         } else {
           // Hide paper and call callback
           paperMesh.visible = false;
+          paperMesh.userData.isFiled = true;
           if (callback) callback();
         }
+        
+        this.requestRender();
       };
       
       animate();
     }
   }
 
+  /**
+   * File a problem's paper straight away, e.g. when restoring a saved queue
+   * @param {string} problemId - Problem ID
+   * @returns {boolean} Whether a paper was filed
+   */
+  fileProblem(problemId) {
+    const paper = this.findPaper(problemId, false);
+    if (!paper) return false;
+    
+    paper.visible = false;
+    paper.userData.isFiled = true;
+    this.requestRender();
+    return true;
+  }
+
+  /**
+   * Put a filed problem's paper back where it lay on the desk
+   * @param {string} problemId - Problem ID
+   * @returns {boolean} Whether a paper was returned
+   */
+  unfileProblem(problemId) {
+    const paper = this.findPaper(problemId, true);
+    if (!paper) return false;
+    
+    paper.position.copy(paper.userData.originalPosition);
+    paper.rotation.copy(paper.userData.originalRotation);
+    paper.visible = true;
+    paper.userData.isFiled = false;
+    this.requestRender();
+    return true;
+  }
+
+  /**
+   * Find a problem's paper
+   * @param {string} problemId - Problem ID
+   * @param {boolean} filed - Whether to look for it in the binder or on the desk
+   * @returns {THREE.Mesh|undefined} Paper
+   */
+  findPaper(problemId, filed) {
+    return this.gameObjects.papers.find(paper =>
+      paper.userData.problemData?.id === problemId && Boolean(paper.userData.isFiled) === filed
+    );
+  }
+
   /**
    * Show tooltip for hovered object
    */
@@ -599,6 +790,7 @@ class ThreeSceneController {
    * Cleanup
    */
   cleanup() {
+    this.renderLoop?.stop();
     this.canvas.removeEventListener('mousemove', this.onMouseMove);
     this.canvas.removeEventListener('click', this.onMouseClick);
     window.removeEventListener('resize', this.onWindowResize);
@@ -613,5 +805,5 @@ class ThreeSceneController {
   }
 }
 
-// Create global instance
-window.threeScene = new ThreeSceneController();
\ No newline at end of file
+// Export class; SceneRenderer decides whether to use it
+window.SimpleThreeScene = SimpleThreeScene;
\ No newline at end of file
@@ -1,9 +1,10 @@
 /**
- * Three.js Scene Controller - Manages 3D desk environment and animations
+ * Rich Three.js Scene - Manages 3D desk environment and animations
  * Creates the chaotic desk with papers, watchtower, and plane elements
+ * Selected by SceneRenderer on capable devices
  */
 
-class ThreeSceneController {
+class RichThreeScene {
   constructor() {
     this.scene = null;
     this.camera = null;
@@ -17,6 +18,8 @@ class ThreeSceneController {
     this.dashboard = null;
     this.currentSection = 'chaos';
     this.isAnimating = false;
+    this.renderLoop = new window.RenderLoop(); // renders nothing until started in init
+    this.filedPiles = []; // papers filed per binder tab
     
     // Animation settings
     this.animationDuration = 2000; // ms
@@ -31,8 +34,10 @@ class ThreeSceneController {
       lightIntensity: 0.8
     };
     
+    // Render on the next frame. Call after changing anything visible.
+    this.requestRender = this.renderLoop.requestRender;
+    
     // Bind methods
-    this.animate = this.animate.bind(this);
     this.handleResize = this.handleResize.bind(this);
     this.handleMouseMove = this.handleMouseMove.bind(this);
     this.handleClick = this.handleClick.bind(this);
@@ -66,17 +71,15 @@ class ThreeSceneController {
     );
     this.camera.position.set(0, 8, this.sceneParams.cameraDistance);
     this.camera.lookAt(0, 0, 0);
+    this.cameraDirector = new window.CameraDirector(this.camera, this.requestRender);
 
-    // Create renderer
+    // Create renderer; the render loop sets pixel ratio and shadows for its quality level
     this.renderer = new THREE.WebGLRenderer({ 
       canvas: this.canvas, 
-      antialias: true,
+      antialias: this.renderLoop.useAntialias(),
       alpha: true
     });
     this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
     // Add lights
     this.setupLights();
@@ -93,8 +96,8 @@ class ThreeSceneController {
     // Add event listeners
     this.setupEventListeners();
 
-    // Start animation loop
-    this.animate();
+    // Render on demand from here on
+    this.renderLoop.start(this.renderer, this.scene, this.camera);
 
     console.log('Three.js scene initialized');
   }
@@ -148,29 +151,43 @@ class ThreeSceneController {
    */
   createChaoticPapers() {
     const problems = window.dataManager?.getProblemsBySection('valet') || [];
-    
-    for (let i = 0; i < this.sceneParams.paperCount; i++) {
-      const paper = this.createPaper(i, problems[i % problems.length]);
+    const paperProblems = Array.from({ length: this.sceneParams.paperCount }, (_, i) => problems[i % problems.length]);
+    this.paperSeverity = new window.PaperSeverity(problems);
+    
+    const placements = new window.PaperLayout({
+      deskWidth: this.sceneParams.deskSize.width,
+      deskDepth: this.sceneParams.deskSize.depth,
+      paperWidth: this.sceneParams.paperSize.width,
+      paperDepth: this.sceneParams.paperSize.depth,
+      seed: window.dataManager?.getLayoutSeed(),
+      getScale: problem => this.paperSeverity.getScale(problem)
+    }).layout(paperProblems);
+    
+    paperProblems.forEach((problemData, i) => {
+      const paper = this.createPaper(i, problemData, placements[i]);
       this.papers.push(paper);
       this.scene.add(paper);
-    }
+    });
   }
 
   /**
    * Create a single paper with problem data
    * @param {number} index - Paper index
    * @param {Object} problemData - Problem data from JSON
+   * @param {Object} placement - Position from PaperLayout ({ x, z, rotation, layer })
    * @returns {THREE.Group} Paper group
    */
-  createPaper(index, problemData) {
+  createPaper(index, problemData, placement) {
     const paperGroup = new THREE.Group();
     
-    // Create paper geometry
-    const geometry = new THREE.BoxGeometry(
-      this.sceneParams.paperSize.width,
-      this.sceneParams.paperSize.height,
-      this.sceneParams.paperSize.depth
-    );
+    // Create paper geometry, larger for more severe problems
+    const scale = this.paperSeverity.getScale(problemData);
+    const size = {
+      width: this.sceneParams.paperSize.width * scale,
+      height: this.sceneParams.paperSize.height,
+      depth: this.sceneParams.paperSize.depth * scale
+    };
+    const geometry = new THREE.BoxGeometry(size.width, size.height, size.depth);
     
     // Choose color based on problem data or default
     let color = 0xe74c3c; // Default red
@@ -194,19 +211,18 @@ class ThreeSceneController {
     const material = new THREE.MeshLambertMaterial({ color });
     const paperMesh = new THREE.Mesh(geometry, material);
     
-    // Position paper randomly on desk
-    const deskBounds = {
-      x: this.sceneParams.deskSize.width / 2 - 0.5,
-      z: this.sceneParams.deskSize.depth / 2 - 0.5
-    };
-    
-    paperMesh.position.x = (Math.random() - 0.5) * deskBounds.x * 2;
-    paperMesh.position.z = (Math.random() - 0.5) * deskBounds.z * 2;
-    paperMesh.position.y = this.sceneParams.paperSize.height / 2 + 0.01;
+    // Pile and title card show severity at a glance
+    const sheetSpacing = 0.03;
+    const pileHeight = this.paperSeverity.decorate(
+      paperMesh, problemData, size, sheetSpacing, `#${color.toString(16).padStart(6, '0')}`
+    );
     
-    // Add random rotation
-    paperMesh.rotation.y = Math.random() * Math.PI * 2;
-    paperMesh.rotation.z = (Math.random() - 0.5) * 0.3;
+    // Position paper from the layout; stacked layers clear the tallest pile
+    const layerHeight = (this.paperSeverity.maxPileSheets + 1) * sheetSpacing;
+    paperMesh.position.x = placement.x;
+    paperMesh.position.z = placement.z;
+    paperMesh.position.y = size.height / 2 + 0.01 + pileHeight + placement.layer * layerHeight;
+    paperMesh.rotation.y = placement.rotation;
     
     // Add shadow
     paperMesh.castShadow = true;
@@ -445,6 +461,7 @@ class ThreeSceneController {
     this.camera.updateProjectionMatrix();
     
     this.renderer.setSize(width, height);
+    this.requestRender();
   }
 
   /**
@@ -594,6 +611,7 @@ class ThreeSceneController {
     
     // Add slight glow effect
     paperMesh.material.emissive.setHex(0x222222);
+    this.requestRender();
   }
 
   /**
@@ -611,6 +629,7 @@ class ThreeSceneController {
     
     // Remove glow
     paperMesh.material.emissive.setHex(0x000000);
+    this.requestRender();
   }
 
   /**
@@ -643,6 +662,7 @@ class ThreeSceneController {
     
     // Update camera position
     this.animateCamera(sectionId);
+    this.requestRender();
   }
 
   /**
@@ -872,6 +892,7 @@ class ThreeSceneController {
         centerY,
         centerZ + Math.sin(angle + 0.1) * radius
       );
+      this.requestRender();
     }, 16); // ~60fps
   }
 
@@ -886,35 +907,184 @@ class ThreeSceneController {
   }
 
   /**
-   * Animate paper to binder
+   * File a paper into the binder: fly it, and the problem's other copies on the desk,
+   * to its tab's strip of the binder and leave them on that tab's pile, where they
+   * move with the binder
    * @param {THREE.Mesh} paperMesh - Paper mesh to animate
-   * @param {Function} callback - Callback when animation completes
+   * @param {Function} callback - Callback when the clicked paper has landed
+   * @param {Object} slot - Binder tab { index, count } from BinderFiling.getTabSlot
    */
-  animatePaperToBinder(paperMesh, callback) {
+  animatePaperToBinder(paperMesh, callback, slot = { index: 0, count: 1 }) {
     if (!paperMesh || !this.binder) return;
     
+    // Take every copy off the desk at once so none can be implemented again
+    const copies = this.findDeskPapers(paperMesh.userData.problemData?.id)
+      .filter(mesh => mesh !== paperMesh);
+    this.binder.updateMatrixWorld();
+    
+    [paperMesh, ...copies].forEach(mesh => {
+      const localTarget = this.takeFromDesk(mesh, slot);
+      const worldTarget = this.binder.localToWorld(localTarget.clone());
+      
+      this.animatePaperToPosition(
+        mesh,
+        worldTarget,
+        { x: 0, y: 0, z: 0 },
+        0,
+        () => {
+          this.placeOnBinder(mesh, localTarget);
+          if (mesh === paperMesh && callback) callback();
+        }
+      );
+    });
+  }
+
+  /**
+   * File a problem's papers straight onto the binder, e.g. when restoring a saved queue
+   * @param {string} problemId - Problem ID
+   * @param {Object} slot - Binder tab { index, count } from BinderFiling.getTabSlot
+   * @returns {boolean} Whether any paper was filed
+   */
+  fileProblem(problemId, slot = { index: 0, count: 1 }) {
+    const paperMeshes = this.findDeskPapers(problemId);
+    if (paperMeshes.length === 0 || !this.binder) return false;
+    
+    paperMeshes.forEach(paperMesh => {
+      this.placeOnBinder(paperMesh, this.takeFromDesk(paperMesh, slot));
+    });
+    return true;
+  }
+
+  /**
+   * Take a problem's papers off the binder and put them back where they lay on the desk
+   * @param {string} problemId - Problem ID
+   * @returns {boolean} Whether any paper was returned
+   */
+  unfileProblem(problemId) {
+    const paperMeshes = (this.binder?.children || []).filter(child =>
+      child.userData.isFiled && child.userData.problemData?.id === problemId
+    );
+    if (paperMeshes.length === 0) return false;
+    
+    paperMeshes.forEach(paperMesh => {
+      const { deskGroup, deskColor } = paperMesh.userData;
+      deskGroup.add(paperMesh);
+      paperMesh.position.copy(paperMesh.userData.originalPosition);
+      paperMesh.rotation.copy(paperMesh.userData.originalRotation);
+      paperMesh.material.color.setHex(deskColor);
+      paperMesh.material.userData.originalColor = deskColor;
+      paperMesh.children.forEach(child => {
+        if (child.userData.isPileSheet) child.visible = true;
+      });
+      
+      // Match the rest of the desk in the current section
+      paperMesh.visible = this.currentSection !== 'closing';
+      paperMesh.userData.isFiled = false;
+      paperMesh.userData.isClickable = !['executive', 'closing'].includes(this.currentSection);
+    });
+    
+    // Close the gaps in the piles
+    this.restackBinder();
+    return true;
+  }
+
+  /**
+   * Rebuild the binder's piles bottom to top in queue order. Papers of problems
+   * missing from the list stay on top, in their current order.
+   * @param {Array<string>} problemIds - Filed problem IDs in queue order
+   */
+  restackBinder(problemIds = []) {
+    if (!this.binder) return;
+    
+    const rank = paperMesh => {
+      const index = problemIds.indexOf(paperMesh.userData.problemData?.id);
+      return index === -1 ? problemIds.length : index;
+    };
+    
+    this.filedPiles = [];
+    this.binder.children
+      .filter(child => child.userData.isFiled)
+      .sort((a, b) => rank(a) - rank(b) || a.position.y - b.position.y)
+      .forEach(child => {
+        child.position.copy(this.claimBinderPlace(child.userData.binderSlot));
+      });
+    
+    this.requestRender();
+  }
+
+  /**
+   * Papers still on the desk for a problem; each problem has several copies
+   * @param {string} problemId - Problem ID
+   * @returns {Array<THREE.Mesh>} Paper meshes
+   */
+  findDeskPapers(problemId) {
+    return this.papers
+      .map(paper => paper.children[0])
+      .filter(mesh => mesh && !mesh.userData.isFiled && mesh.userData.problemData?.id === problemId);
+  }
+
+  /**
+   * Lift a paper off the desk, turn it blue and reserve its place on the binder
+   * @param {THREE.Mesh} paperMesh - Paper mesh
+   * @param {Object} slot - Binder tab { index, count }
+   * @returns {THREE.Vector3} Place on the tab's pile, in binder space
+   */
+  takeFromDesk(paperMesh, slot) {
+    if (this.hoveredPaper === paperMesh) {
+      this.resetPaperHover(paperMesh);
+      this.hoveredPaper = null;
+    }
+    paperMesh.userData.isClickable = false;
+    paperMesh.userData.deskGroup = paperMesh.parent;
+    paperMesh.userData.deskColor = paperMesh.material.userData.originalColor;
+    paperMesh.userData.binderSlot = slot;
+    
     // Change paper color to blue (solution color)
     paperMesh.material.color.setHex(0x3498db);
+    paperMesh.material.userData.originalColor = 0x3498db;
     
-    // Animate to binder position
-    const binderPosition = this.binder.position.clone();
-    binderPosition.y += 0.2;
-    
-    this.animatePaperToPosition(
-      paperMesh,
-      binderPosition,
-      { x: 0, y: 0, z: 0 },
+    return this.claimBinderPlace(slot);
+  }
+
+  /**
+   * Next place on a tab's pile. Tabs split the binder front to back;
+   * each filed paper lands on top of its tab's pile.
+   * @param {Object} slot - Binder tab { index, count }
+   * @returns {THREE.Vector3} Position in binder space
+   */
+  claimBinderPlace(slot) {
+    const pile = this.filedPiles[slot.index] || 0;
+    this.filedPiles[slot.index] = pile + 1;
+    const binderDepth = 3;
+    const laneDepth = binderDepth / slot.count;
+    return new THREE.Vector3(
       0,
-      () => {
-        // Hide paper after animation
-        paperMesh.visible = false;
-        paperMesh.userData.isClickable = false;
-        
-        if (callback) callback();
-      }
+      0.06 + pile * 0.015,
+      -binderDepth / 2 + laneDepth * (slot.index + 0.5)
     );
   }
 
+  /**
+   * Hand a paper to the binder and snap it onto its pile
+   * @param {THREE.Mesh} paperMesh - Paper mesh
+   * @param {THREE.Vector3} localTarget - Place on the pile, in binder space
+   */
+  placeOnBinder(paperMesh, localTarget) {
+    // The severity pile is resolved; keep the title card
+    paperMesh.children.forEach(child => {
+      if (child.userData.isPileSheet) child.visible = false;
+    });
+    
+    this.binder.add(paperMesh);
+    paperMesh.position.copy(localTarget);
+    paperMesh.rotation.set(0, 0, 0);
+    paperMesh.material.transparent = false;
+    paperMesh.material.opacity = 1;
+    paperMesh.visible = true;
+    paperMesh.userData.isFiled = true;
+    this.requestRender();
+  }
+
   /**
    * Animate paper to specific position
    * @param {THREE.Mesh} paperMesh - Paper mesh
@@ -948,6 +1118,8 @@ class ThreeSceneController {
         } else if (callback) {
           callback();
         }
+        
+        this.requestRender();
       };
       
       animateStep();
@@ -976,13 +1148,16 @@ class ThreeSceneController {
       if (progress < 1) {
         requestAnimationFrame(animateStep);
       }
+      
+      this.requestRender();
     };
     
     animateStep();
   }
 
   /**
-   * Animate camera for section transition
+   * Play the section's camera path from the data file,
+   * or the built-in shot when the data file has none
    * @param {string} sectionId - Section ID
    */
   animateCamera(sectionId) {
@@ -994,28 +1169,21 @@ class ThreeSceneController {
       closing: { x: 0, y: 8, z: 12 }
     };
     
+    const path = window.dataManager?.getCameraPath(sectionId);
+    if (path) {
+      this.cameraDirector.play(path);
+      return;
+    }
+    
     const targetPosition = targetPositions[sectionId];
     if (!targetPosition) return;
     
-    const startPosition = this.camera.position.clone();
-    const endPosition = new THREE.Vector3(targetPosition.x, targetPosition.y, targetPosition.z);
-    const duration = 2000;
-    const startTime = Date.now();
-    
-    const animateStep = () => {
-      const elapsed = Date.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      const easeProgress = this.easeOutCubic(progress);
-      
-      this.camera.position.lerpVectors(startPosition, endPosition, easeProgress);
-      this.camera.lookAt(0, 0, 0);
-      
-      if (progress < 1) {
-        requestAnimationFrame(animateStep);
-      }
-    };
-    
-    animateStep();
+    this.cameraDirector.play([{
+      position: targetPosition,
+      lookAt: { x: 0, y: 0, z: 0 },
+      easing: 'easeOutCubic',
+      duration: 2000
+    }]);
   }
 
   /**
@@ -1045,22 +1213,12 @@ class ThreeSceneController {
     return (newR << 16) | (newG << 8) | newB;
   }
 
-  /**
-   * Main animation loop
-   */
-  animate() {
-    requestAnimationFrame(this.animate);
-    
-    if (this.renderer && this.scene && this.camera) {
-      this.renderer.render(this.scene, this.camera);
-    }
-  }
-
   /**
    * Cleanup resources
    */
   cleanup() {
     this.stopPlaneAnimation();
+    this.renderLoop?.stop();
     
     if (this.renderer) {
       this.renderer.dispose();
@@ -1076,6 +1234,32 @@ class ThreeSceneController {
     console.log('Three.js scene cleaned up');
   }
 
+  /**
+   * Get game object by type
+   * @param {string} type - desk, papers, firefighter, watchtower, plane or binder
+   * @returns {THREE.Object3D|Array|undefined} Game object
+   */
+  getGameObject(type) {
+    return {
+      desk: this.desk,
+      papers: this.papers,
+      firefighter: this.firefighter,
+      watchtower: this.watchtower,
+      plane: this.plane,
+      binder: this.binder
+    }[type];
+  }
+
+  /**
+   * Load external models. The rich scene is fully procedural, so this completes immediately.
+   * @param {Function} onProgress - Called with { loaded, total, progress }
+   * @returns {Promise<Object>} Empty load result
+   */
+  async loadModels(onProgress = () => {}) {
+    onProgress({ loaded: 0, total: 0, progress: 1 });
+    return {};
+  }
+
   /**
    * Get current section
    * @returns {string} Current section ID
@@ -1104,6 +1288,7 @@ class ThreeSceneController {
     // Dispatch event
     const firefighterClickEvent = new CustomEvent('firefighterClicked', {
       detail: { 
+        type: 'firefighter',
         character: 'firefighter',
         message: 'The valet is ready to tackle problems as they arise!'
       }
@@ -1123,6 +1308,7 @@ class ThreeSceneController {
     // Dispatch event
     const watchtowerClickEvent = new CustomEvent('watchtowerClicked', {
       detail: { 
+        type: 'watchtower',
         character: 'watchtower',
         message: 'The manager oversees operations from the watchtower!'
       }
@@ -1142,6 +1328,7 @@ class ThreeSceneController {
     // Dispatch event
     const planeClickEvent = new CustomEvent('planeClicked', {
       detail: { 
+        type: 'plane',
         character: 'plane',
         message: 'The executive surveys the big picture from above!'
       }
@@ -1161,6 +1348,7 @@ class ThreeSceneController {
     // Dispatch event
     const binderClickEvent = new CustomEvent('binderClicked', {
       detail: { 
+        type: 'binder',
         object: 'binder',
         message: 'The operations manual contains all systematic procedures!'
       }
@@ -1198,6 +1386,8 @@ class ThreeSceneController {
         this.firefighter.position.y = originalY;
         if (hose) hose.rotation.y = 0;
       }
+      
+      this.requestRender();
     };
     
     animateStep();
@@ -1222,6 +1412,8 @@ class ThreeSceneController {
       } else {
         this.watchtower.rotation.y = originalRotation;
       }
+      
+      this.requestRender();
     };
     
     animateStep();
@@ -1251,6 +1443,8 @@ class ThreeSceneController {
         this.plane.position.copy(originalPosition);
         this.plane.rotation.y = 0;
       }
+      
+      this.requestRender();
     };
     
     animateStep();
@@ -1276,6 +1470,8 @@ class ThreeSceneController {
       if (progress < 1) {
         requestAnimationFrame(animateStep);
       }
+      
+      this.requestRender();
     };
     
     animateStep();
@@ -1325,11 +1521,13 @@ class ThreeSceneController {
       if (particles.some(p => p.material.opacity > 0)) {
         requestAnimationFrame(animateParticles);
       }
+      
+      this.requestRender();
     };
     
     animateParticles();
   }
 }
 
-// Create global instance
-window.threeScene = new ThreeSceneController();
\ No newline at end of file
+// Export class; SceneRenderer decides whether to use it
+window.RichThreeScene = RichThreeScene;
\ No newline at end of file
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Mock API Server - Serves the presentation with stand-in /api endpoints for local testing
+ * Usage: node scripts/mock-api-server.js [--port 8000] [--fail-first 3] [--fail-rate 0.5] [--fail-status 503]
+ *
+ * POST /api/feedback and /api/analytics store the JSON body in memory, ignoring repeats of
+ * an Idempotency-Key. The --fail options answer some POSTs with an error instead, to
+ * exercise the outbox's retries. GET on the same paths lists what has been received.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const API_PATHS = ['/api/feedback', '/api/analytics'];
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.glb': 'model/gltf-binary',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { port, failFirst, failRate, failStatus }
+ */
+function parseOptions(args) {
+  const value = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? Number(args[index + 1]) : fallback;
+  };
+
+  return {
+    port: value('port', 8000),
+    failFirst: value('fail-first', 0),
+    failRate: value('fail-rate', 0),
+    failStatus: value('fail-status', 503)
+  };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Serve a file from the repository, with index.html for directories
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // Malformed escape such as %E0%A4%A
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+
+  let filePath = path.join(ROOT, pathname);
+
+  // Anything outside the repository, including sibling directories that share its name as a prefix
+  const relative = path.relative(ROOT, filePath);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(data);
+  });
+}
+
+/**
+ * Create the server
+ * @param {Object} options - From parseOptions
+ * @returns {http.Server} Server
+ */
+function createServer(options) {
+  const received = Object.fromEntries(API_PATHS.map(apiPath => [apiPath, []]));
+  let posts = 0;
+
+  return http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    if (!API_PATHS.includes(pathname)) {
+      serveStatic(req, res);
+      return;
+    }
+
+    if (req.method === 'GET') {
+      sendJSON(res, 200, received[pathname]);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJSON(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      posts++;
+      const key = req.headers['idempotency-key'] || null;
+
+      if (posts <= options.failFirst || Math.random() < options.failRate) {
+        console.log(`${pathname}: answering ${options.failStatus} (request ${posts}, key ${key})`);
+        sendJSON(res, options.failStatus, { error: 'Simulated failure' });
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        sendJSON(res, 400, { error: 'Body must be JSON' });
+        return;
+      }
+
+      const duplicate = key && received[pathname].some(entry => entry.key === key);
+      if (!duplicate) {
+        received[pathname].push({ key, receivedAt: new Date().toISOString(), payload });
+      }
+
+      console.log(`${pathname}: ${duplicate ? 'duplicate' : 'received'} (key ${key})`, payload);
+      sendJSON(res, duplicate ? 200 : 201, { ok: true, duplicate: Boolean(duplicate) });
+    });
+  });
+}
+
+if (require.main === module) {
+  const options = parseOptions(process.argv.slice(2));
+  createServer(options).listen(options.port, () => {
+    console.log(`Mock API server on http://localhost:${options.port}`, options);
+  });
+}
+
+module.exports = { createServer, parseOptions, serveStatic };
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * Poll Relay - WebSocket relay for live audience polls, run on the presenter's laptop
+ * Usage: node scripts/poll-relay.js [--port 8090] [--host 192.168.1.20] [--origin http://localhost:8000]
+ *
+ * Serves the voting page (poll.html and the files it loads) and relays poll messages on /ws.
+ * Nothing else in the repository is served, since every phone on the venue network can reach it.
+ * Connections from this machine, opened by a page on the presentation's origin, may join as
+ * the presenter, who opens and closes polls; every other connection is a voter with one vote
+ * per poll, which it may change.
+ * Only Node's built-in modules are used, so the WebSocket handshake and framing are done here.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const { serveStatic } = require('./mock-api-server');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024; // bytes; poll messages are small
+const MAX_OPTIONS = 20;
+
+// The only files phones may fetch
+const PUBLIC_FILES = [
+  '/poll.html',
+  '/js/text-utils.js',
+  '/js/poll-client.js',
+  '/js/poll-voter.js',
+  '/styles/main.css'
+];
+
+const OPCODES = {
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA
+};
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { port, host, origins } where host is the address phones use, found on the LAN
+ *   when null, and origins the presentation origins allowed to present, any localhost origin when null
+ */
+function parseOptions(args) {
+  const value = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+  };
+
+  return {
+    port: Number(value('port', 8090)),
+    host: value('host', null),
+    origins: value('origin', null)?.split(',').map(origin => origin.trim()) || null
+  };
+}
+
+/**
+ * First IPv4 address other machines on the network can reach
+ * @returns {string} Address, or localhost when there is none
+ */
+function getLanAddress() {
+  const addresses = Object.values(os.networkInterfaces()).flat();
+  const lan = addresses.find(address => address && !address.internal &&
+    (address.family === 'IPv4' || address.family === 4));
+  return lan ? lan.address : 'localhost';
+}
+
+/**
+ * Whether a connection comes from this machine
+ * @param {string} address - Remote address
+ * @returns {boolean} Loopback
+ */
+function isLoopback(address = '') {
+  return address.startsWith('127.') || address === '::1' || address.startsWith('::ffff:127.');
+}
+
+/**
+ * Serve the voting page's files, and nothing else
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function servePublicFile(req, res) {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405);
+    res.end();
+    return;
+  }
+
+  if (pathname === '/') {
+    res.writeHead(302, { Location: '/poll.html' });
+    res.end();
+    return;
+  }
+
+  if (!PUBLIC_FILES.includes(pathname)) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+
+  serveStatic({ ...req, url: pathname }, res);
+}
+
+/**
+ * Build an unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Payload
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split received bytes into complete client frames, unmasking their payloads
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} { frames: [{ fin, opcode, masked, payload }], rest } where rest is an incomplete frame
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let rest = buffer;
+
+  while (rest.length >= 2) {
+    const fin = (rest[0] & 0x80) !== 0;
+    const opcode = rest[0] & 0x0F;
+    const masked = (rest[1] & 0x80) !== 0;
+    let length = rest[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+      if (rest.length < 4) break;
+      length = rest.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (rest.length < 10) break;
+      length = Number(rest.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD) {
+      throw new Error('Message too large');
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (rest.length < offset + length) break;
+
+    const payload = Buffer.from(rest.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= rest[maskOffset + (i % 4)];
+      }
+    }
+
+    frames.push({ fin, opcode, masked, payload });
+    rest = rest.subarray(offset + length);
+  }
+
+  return { frames, rest };
+}
+
+/**
+ * Check a poll sent by the presenter and keep only the fields voters need
+ * @param {Object} poll - { id, question, options: [{ id, label }] }
+ * @returns {Object|null} Poll, or null when it isn't usable
+ */
+function normalizePoll(poll) {
+  if (!poll || typeof poll.id !== 'string' || typeof poll.question !== 'string') return null;
+  if (!Array.isArray(poll.options) || poll.options.length === 0 || poll.options.length > MAX_OPTIONS) return null;
+
+  const options = poll.options
+    .filter(option => option && option.id !== undefined && option.label !== undefined)
+    .map(option => ({ id: String(option.id), label: String(option.label) }));
+
+  return options.length === poll.options.length
+    ? { id: poll.id, question: poll.question, options }
+    : null;
+}
+
+/**
+ * Whether a page may join as the presenter. Browsers always send Origin with WebSocket
+ * handshakes, so this stops other sites open in the presenter's browser from taking over.
+ * @param {string} origin - Origin header
+ * @param {Array<string>|null} allowed - Allowed origins, or null for any localhost origin
+ * @returns {boolean} Allowed
+ */
+function isPresentationOrigin(origin, allowed) {
+  if (!origin) return false;
+  if (allowed) return allowed.includes(origin);
+
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return ['http:', 'https:'].includes(protocol) &&
+      ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create the relay
+ * @param {Object} options - From parseOptions
+ * @returns {http.Server} Server
+ */
+function createRelay(options) {
+  const joinUrl = `http://${options.host || getLanAddress()}:${options.port}/poll.html`;
+  const clients = new Set();
+  const state = {
+    poll: null,
+    open: false,
+    votes: new Map() // voter ID -> option ID
+  };
+
+  const getResults = () => {
+    const counts = Object.fromEntries(state.poll.options.map(option => [option.id, 0]));
+    state.votes.forEach(optionId => {
+      counts[optionId]++;
+    });
+    return { pollId: state.poll.id, counts, total: state.votes.size };
+  };
+
+  // Each client's copy includes its own vote, so a reconnecting phone shows its choice
+  const getState = client => ({
+    type: 'state',
+    poll: state.poll,
+    open: state.open,
+    results: state.poll ? getResults() : null,
+    vote: state.votes.get(client.voterId) || null,
+    joinUrl
+  });
+
+  const broadcastState = () => clients.forEach(client => client.send(getState(client)));
+
+  /**
+   * Act on a message from a client
+   * @param {Object} client - Sender
+   * @param {Object} message - Parsed message
+   */
+  const handleMessage = (client, message) => {
+    switch (message.type) {
+      case 'open': {
+        if (!client.presenter) {
+          client.send({ type: 'error', message: 'Only the presenter can open polls' });
+          return;
+        }
+
+        const poll = normalizePoll(message.poll);
+        if (!poll) {
+          client.send({ type: 'error', message: `A poll needs an id, a question and 1-${MAX_OPTIONS} options` });
+          return;
+        }
+
+        state.poll = poll;
+        state.open = true;
+        state.votes = new Map();
+        console.log(`Poll "${poll.id}" opened: ${poll.question}`);
+        broadcastState();
+        break;
+      }
+
+      case 'close':
+        if (!client.presenter) {
+          client.send({ type: 'error', message: 'Only the presenter can close polls' });
+          return;
+        }
+
+        state.open = false;
+        if (state.poll) {
+          console.log(`Poll "${state.poll.id}" closed with ${state.votes.size} vote(s)`);
+        }
+        broadcastState();
+        break;
+
+      case 'vote': {
+        if (!state.open || message.pollId !== state.poll?.id) {
+          client.send({ type: 'error', message: 'Voting is closed' });
+          return;
+        }
+
+        const optionId = String(message.optionId);
+        if (!state.poll.options.some(option => option.id === optionId)) {
+          client.send({ type: 'error', message: 'Unknown answer' });
+          return;
+        }
+
+        state.votes.set(client.voterId, optionId);
+        client.send({ type: 'voted', pollId: state.poll.id, optionId });
+        const results = { type: 'results', ...getResults() };
+        clients.forEach(other => other.send(results));
+        break;
+      }
+
+      default:
+        client.send({ type: 'error', message: `Unknown message type "${message.type}"` });
+    }
+  };
+
+  /**
+   * Wrap an upgraded socket
+   * @param {net.Socket} socket - Socket
+   * @param {Object} details - { presenter, voterId }
+   * @returns {Object} Client
+   */
+  const createClient = (socket, details) => {
+    let received = Buffer.alloc(0);
+
+    const client = {
+      ...details,
+      send(message) {
+        if (socket.writable) {
+          socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+        }
+      },
+      close(code, reason = '') {
+        if (!socket.writable) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        socket.end(encodeFrame(OPCODES.close, payload));
+      }
+    };
+
+    const handleFrame = (frame) => {
+      // Browsers mask every frame and send short JSON messages whole
+      if (!frame.masked) {
+        client.close(1002, 'Client frames must be masked');
+        return;
+      }
+
+      if (!frame.fin || frame.opcode === 0) {
+        client.close(1003, 'Fragmented messages are not supported');
+        return;
+      }
+
+      switch (frame.opcode) {
+        case OPCODES.text: {
+          let message;
+          try {
+            message = JSON.parse(frame.payload.toString('utf8'));
+          } catch (error) {
+            client.send({ type: 'error', message: 'Messages must be JSON' });
+            return;
+          }
+          handleMessage(client, message || {});
+          break;
+        }
+        case OPCODES.ping:
+          if (socket.writable) socket.write(encodeFrame(OPCODES.pong, frame.payload));
+          break;
+        case OPCODES.pong:
+          break;
+        case OPCODES.close:
+          client.close(1000);
+          break;
+        default:
+          client.close(1003, 'Only text messages are supported');
+      }
+    };
+
+    socket.on('data', chunk => {
+      received = Buffer.concat([received, chunk]);
+
+      let decoded;
+      try {
+        decoded = decodeFrames(received);
+      } catch (error) {
+        client.close(1009, error.message);
+        return;
+      }
+
+      received = decoded.rest;
+      decoded.frames.forEach(handleFrame);
+    });
+
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+
+    return client;
+  };
+
+  const server = http.createServer(servePublicFile);
+
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+
+    if (url.pathname !== '/ws' || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    const wantsPresenter = url.searchParams.get('role') === 'presenter';
+    const client = createClient(socket, {
+      presenter: wantsPresenter && isLoopback(socket.remoteAddress) &&
+        isPresentationOrigin(req.headers.origin, options.origins),
+      voterId: (url.searchParams.get('voter') || crypto.randomUUID()).slice(0, 64)
+    });
+
+    if (wantsPresenter && !client.presenter) {
+      client.close(1008, 'The presenter must connect from the presentation on the relay machine');
+      return;
+    }
+
+    clients.add(client);
+    client.send(getState(client));
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const options = parseOptions(process.argv.slice(2));
+  const server = createRelay(options);
+  server.listen(options.port, () => {
+    console.log(`Poll relay on ws://localhost:${options.port}/ws`);
+    console.log(`Audience joins at http://${options.host || getLanAddress()}:${options.port}/poll.html`);
+  });
+}
+
+module.exports = { createRelay, parseOptions, isPresentationOrigin, encodeFrame, decodeFrames };
@@ -3,8 +3,12 @@
  * Implements offline-first caching strategy
  */
 
-const CACHE_NAME = 'ace-presentation-v1.0';
-const CACHE_VERSION = '1.0';
+const CACHE_NAME = 'ace-presentation-v1.1';
+const CACHE_VERSION = '1.1';
+
+// Outbox shared with the page
+importScripts('/js/idb-store.js', '/js/offline-outbox.js');
+const outbox = new OfflineOutbox();
 
 // Assets to cache immediately
 const STATIC_ASSETS = [
@@ -12,19 +16,60 @@ const STATIC_ASSETS = [
   '/index.html',
   '/styles/main.css',
   '/js/main.js',
+  '/js/text-utils.js',
+  '/js/data-validator.js',
   '/js/data-manager.js',
+  '/js/paper-layout.js',
+  '/js/paper-severity.js',
+  '/js/render-loop.js',
+  '/js/camera-director.js',
   '/js/three-scene.js',
+  '/js/three-scene-simple.js',
+  '/js/flat-scene.js',
+  '/js/scene-renderer.js',
+  '/js/explore-controls.js',
+  '/js/camera-editor.js',
+  '/js/perf-hud.js',
   '/js/modal-system.js',
+  '/js/binder-filing.js',
+  '/js/idb-store.js',
+  '/js/implementation-queue.js',
+  '/js/queue-panel.js',
   '/js/pdf-export.js',
   '/js/demo-mode.js',
-  '/data/presentation-data.json'
+  '/js/presenter-sync.js',
+  '/js/rehearsal-store.js',
+  '/js/offline-outbox.js',
+  '/js/analytics-tracker.js',
+  '/js/poll-client.js',
+  '/js/live-poll.js',
+  '/js/presenter-view.js',
+  '/js/feedback-dashboard.js',
+  '/presenter.html',
+  '/feedback.html',
+  '/data/presentation-data.json',
+  '/data/presentation-schema.json',
+  '/data/decks.json'
+];
+
+// Manifest listing every deck's data file
+const DECK_MANIFEST = '/data/decks.json';
+
+// 3D models (matches SimpleThreeScene.assetPaths); missing files are skipped
+const MODEL_ASSETS = [
+  '/assets/3d/firefighter.glb',
+  '/assets/3d/watchtower.glb',
+  '/assets/3d/plane.glb',
+  '/assets/3d/binder.glb'
 ];
 
 // External libraries to cache
 const EXTERNAL_ASSETS = [
   'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+  'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/GLTFLoader.js',
   'https://cdnjs.cloudflare.com/ajax/libs/interact.js/1.10.11/interact.min.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js'
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js'
 ];
 
 /**
@@ -40,6 +85,14 @@ self.addEventListener('install', (event) => {
         // Cache static assets
         return cache.addAll(STATIC_ASSETS);
       })
+      .then(() => {
+        // Cache every deck listed in the manifest
+        return precacheDecks();
+      })
+      .then(() => {
+        // Cache whichever 3D models are present
+        return precacheModels();
+      })
       .then(() => {
         // Cache external assets
         return caches.open(CACHE_NAME)
@@ -71,6 +124,45 @@ self.addEventListener('install', (event) => {
   );
 });
 
+/**
+ * Precache the data file of every deck listed in the deck manifest
+ */
+async function precacheDecks() {
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    const response = await cache.match(DECK_MANIFEST) || await fetch(DECK_MANIFEST);
+    const manifest = await response.json();
+    const deckFiles = (manifest.decks || []).map(deck => '/' + deck.file.replace(/^\//, ''));
+    
+    console.log('Service Worker: Caching decks:', deckFiles);
+    await Promise.all(
+      deckFiles.map((url) => {
+        return cache.add(url).catch((error) => {
+          console.warn(`Failed to cache deck: ${url}`, error);
+        });
+      })
+    );
+  } catch (error) {
+    console.warn('Service Worker: Failed to precache decks', error);
+  }
+}
+
+/**
+ * Precache 3D models, tolerating models that haven't been added yet
+ */
+async function precacheModels() {
+  const cache = await caches.open(CACHE_NAME);
+  
+  console.log('Service Worker: Caching 3D models');
+  await Promise.all(
+    MODEL_ASSETS.map((url) => {
+      return cache.add(url).catch(() => {
+        console.warn(`Model not cached (placeholder will be used): ${url}`);
+      });
+    })
+  );
+}
+
 /**
  * Service Worker Activate Event
  */
@@ -120,7 +212,10 @@ self.addEventListener('fetch', (event) => {
   }
   
   // Handle different types of requests
-  if (isStaticAsset(request.url)) {
+  if (isAppScript(url)) {
+    // Stale-while-revalidate so updated scripts reach the next load without a cache bump
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (isStaticAsset(request.url)) {
     // Cache-first strategy for static assets
     event.respondWith(cacheFirst(request));
   } else if (isAPIRequest(request.url)) {
@@ -173,6 +268,36 @@ async function cacheFirst(request) {
   }
 }
 
+/**
+ * Stale-while-revalidate strategy
+ * Serve from cache straight away and refresh the cache from the network
+ * @param {FetchEvent} event - Fetch event, kept alive until the refresh is done
+ */
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cache = await caches.open(CACHE_NAME);
+  const cachedResponse = await cache.match(request);
+  
+  const networkFetch = fetch(request)
+    .then(async (networkResponse) => {
+      if (networkResponse.ok) {
+        await cache.put(request, networkResponse.clone());
+        console.log('Service Worker: Cache refreshed:', request.url);
+      }
+      return networkResponse;
+    });
+  
+  if (cachedResponse) {
+    console.log('Service Worker: Serving from cache:', request.url);
+    event.waitUntil(networkFetch.catch(() => {
+      // Offline; the cached copy is all there is
+    }));
+    return cachedResponse;
+  }
+  
+  return networkFetch;
+}
+
 /**
  * Network-first strategy
  * Try network first, fall back to cache
@@ -217,6 +342,14 @@ function isStaticAsset(url) {
          url.includes('/assets/');
 }
 
+/**
+ * Check if URL is one of the app's own scripts
+ * @param {URL} url - Request URL
+ */
+function isAppScript(url) {
+  return url.origin === self.location.origin && url.pathname.startsWith('/js/');
+}
+
 /**
  * Check if URL is an API request
  */
@@ -237,129 +370,39 @@ function isExternalAsset(url) {
 }
 
 /**
- * Handle background sync for offline actions
+ * Deliver the outbox when the browser regains connectivity
  */
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'background-sync') {
+  if (event.tag === outbox.syncTag) {
     console.log('Service Worker: Background sync triggered');
-    event.waitUntil(handleBackgroundSync());
+    event.waitUntil(handleBackgroundSync(event.lastChance));
   }
 });
 
 /**
  * Handle background sync
+ * @param {boolean} lastChance - Whether the browser will stop retrying this sync
  */
-async function handleBackgroundSync() {
-  try {
-    // Check for any pending offline actions
-    const pendingActions = await getStoredActions();
-    
-    if (pendingActions.length > 0) {
-      console.log('Service Worker: Processing pending actions:', pendingActions.length);
-      
-      for (const action of pendingActions) {
-        await processAction(action);
-      }
-      
-      // Clear processed actions
-      await clearStoredActions();
-    }
-  } catch (error) {
-    console.error('Service Worker: Background sync failed:', error);
-  }
-}
-
-/**
- * Get stored offline actions
- */
-async function getStoredActions() {
-  try {
-    const cache = await caches.open(CACHE_NAME);
-    const response = await cache.match('/offline-actions');
-    
-    if (response) {
-      return await response.json();
-    }
-    
-    return [];
-  } catch (error) {
-    console.error('Service Worker: Failed to get stored actions:', error);
-    return [];
-  }
-}
-
-/**
- * Process an offline action
- */
-async function processAction(action) {
-  try {
-    switch (action.type) {
-      case 'feedback':
-        await submitFeedback(action.data);
-        break;
-      case 'analytics':
-        await sendAnalytics(action.data);
-        break;
-      default:
-        console.warn('Service Worker: Unknown action type:', action.type);
-    }
-  } catch (error) {
-    console.error('Service Worker: Failed to process action:', error);
-  }
-}
-
-/**
- * Submit feedback when online
- */
-async function submitFeedback(feedbackData) {
-  try {
-    const response = await fetch('/api/feedback', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(feedbackData)
-    });
-    
-    if (response.ok) {
-      console.log('Service Worker: Feedback submitted successfully');
-    }
-  } catch (error) {
-    console.error('Service Worker: Failed to submit feedback:', error);
-  }
-}
-
-/**
- * Send analytics when online
- */
-async function sendAnalytics(analyticsData) {
-  try {
-    const response = await fetch('/api/analytics', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(analyticsData)
-    });
-    
-    if (response.ok) {
-      console.log('Service Worker: Analytics sent successfully');
-    }
-  } catch (error) {
-    console.error('Service Worker: Failed to send analytics:', error);
+async function handleBackgroundSync(lastChance) {
+  const status = await outbox.flush();
+  console.log('Service Worker: Outbox flushed:', status);
+  
+  notifyClients({ type: 'OUTBOX_STATUS', status });
+  
+  // Failing the sync makes the browser retry it later; on the last chance the
+  // page picks the items up next time it loads or comes back online
+  if (status.pending > 0 && !lastChance) {
+    throw new Error(`${status.pending} outbox item(s) still pending`);
   }
 }
 
 /**
- * Clear stored actions
+ * Post a message to every open page
+ * @param {Object} message - Message
  */
-async function clearStoredActions() {
-  try {
-    const cache = await caches.open(CACHE_NAME);
-    await cache.delete('/offline-actions');
-  } catch (error) {
-    console.error('Service Worker: Failed to clear stored actions:', error);
-  }
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage(message));
 }
 
 /**